@@ -1,81 +1,1617 @@
 const mineflayer = require('mineflayer')
 const { pathfinder, Movements, goals } = require('mineflayer-pathfinder')
 const pvp = require('mineflayer-pvp').plugin
-const armorManager = require('mineflayer-armor-manager')
 const autoEat = require('mineflayer-auto-eat').plugin
 const collectBlock = require('mineflayer-collectblock').plugin
 const toolPlugin = require('mineflayer-tool').plugin
+const armorManager = require('mineflayer-armor-manager')
+const Vec3 = require('vec3')
+const net = require('net')
+const fs = require('fs')
+const path = require('path')
+const nbt = require('prismarine-nbt')
+
+// Get config from args
+const args = JSON.parse(process.argv[2])
+
+const botOptions = {
+  host: args.host,
+  port: args.port,
+  username: args.username,
+  version: args.version,
+  auth: args.auth === 'microsoft' ? 'microsoft' : 'offline'
+}
+if (botOptions.auth === 'microsoft') {
+  // Tokens are cached per account so the device code is only needed once
+  botOptions.profilesFolder = args.authCacheDir
+  botOptions.onMsaCode = (data) => {
+    process.send({ type: 'auth_code', code: data.user_code, url: data.verification_uri, expiresIn: data.expires_in })
+  }
+}
+const bot = mineflayer.createBot(botOptions)
+
+// Load Plugins
+bot.loadPlugin(pathfinder)
+bot.loadPlugin(pvp)
+bot.loadPlugin(autoEat)
+bot.loadPlugin(collectBlock)
+bot.loadPlugin(toolPlugin)
+bot.loadPlugin(withArmorToggle)
+
+let mcData = null
+
+// Flags
+let inventoryBusy = false
+
+// Task Queue
+let taskQueue = []
+let currentTask = null
+let taskSeq = 0
+const TASK_PROGRESS_INTERVAL_MS = 5000
+
+// Autonomy (ported from the standalone index.js brain)
+const AUTONOMY_BEHAVIOURS = ['sleep', 'dumpLoot', 'findFood', 'farm', 'chopTrees', 'ambientChat', 'combat']
+let autonomy = {
+    enabled: false,
+    master: '',
+    behaviours: Object.fromEntries(AUTONOMY_BEHAVIOURS.map(b => [b, true]))
+}
+let autonomyBusy = false
+let lastFarmRound = 0
+let reflexBusy = false
+
+function waitForCondition(checkFn, timeoutMs, intervalMs) {
+    return new Promise((resolve, reject) => {
+        const start = Date.now()
+        const timer = setInterval(() => {
+            let ok = false
+            try { ok = checkFn() } catch (e) {}
+            if (ok) {
+                clearInterval(timer)
+                resolve(true)
+                return
+            }
+            if (Date.now() - start > timeoutMs) {
+                clearInterval(timer)
+                reject(new Error('timeout'))
+            }
+        }, intervalMs)
+    })
+}
+
+// Since 1.19 mobs spawn through spawn_entity with type 'hostile'; only the legacy path still reports 'mob'
+function isHostileMob(entity) {
+    return !!entity && (entity.kind === 'Hostile mobs' || entity.type === 'hostile')
+}
+
+// Players and every kind of mob: on 1.19+ the type is 'hostile', 'animal', 'passive', 'water_creature' and so on;
+// 'living' is only the armour stand
+const NON_CREATURE_TYPES = ['object', 'orb', 'projectile', 'other', 'global', 'living']
+
+function isCreature(entity) {
+    return !!entity && !NON_CREATURE_TYPES.includes(entity.type)
+}
+
+async function approachTarget(targetName, range, timeoutMs) {
+    const target = bot.players[targetName]?.entity
+    if (!target) throw new Error('target_not_visible')
+    bot.pathfinder.setGoal(new goals.GoalFollow(target, range), true)
+    try {
+        await waitForCondition(() => {
+            const t = bot.players[targetName]?.entity
+            if (!t || !bot.entity) return false
+            return t.position.distanceTo(bot.entity.position) <= range
+        }, timeoutMs, 250)
+    } finally {
+        bot.pathfinder.setGoal(null)
+    }
+}
+
+async function withInventoryLock(fn) {
+    if (inventoryBusy) return
+    inventoryBusy = true
+    try {
+        await fn()
+    } finally {
+        inventoryBusy = false
+    }
+}
+
+function findInventoryItem(name) {
+    const search = String(name).toLowerCase().replace(/_/g, ' ')
+    return bot.inventory.items().find(i => i.name.toLowerCase().replace(/_/g, ' ').includes(search) || i.displayName.toLowerCase().includes(search))
+}
+
+function normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, '_')
+}
+
+// Exact name first, then "_name" variants (log -> oak_log); any other whole-word match only counts when it is unique
+function matchRegistryNames(names, search) {
+    if (names.includes(search)) return [search]
+    const suffixed = names.filter(n => n.endsWith(`_${search}`))
+    if (suffixed.length > 0) return suffixed
+    const partial = names.filter(n => `_${n}_`.includes(`_${search}_`))
+    if (partial.length > 1) throw ambiguousName(search, partial)
+    return partial
+}
+
+function ambiguousName(search, names) {
+    return new Error(`"${search}" is ambiguous (${names.slice(0, 6).join(', ')}${names.length > 6 ? ', ...' : ''}), ask which one`)
+}
+
+function resolveBlockIds(name) {
+    const search = normalizeName(name)
+    if (!search) return []
+    const names = matchRegistryNames(Object.keys(mcData.blocksByName), search)
+    // Ores also come in deepslate variants
+    const variants = names.flatMap(n => [n, `deepslate_${n}`]).filter(n => mcData.blocksByName[n])
+    return [...new Set(variants)].map(n => mcData.blocksByName[n].id)
+}
+
+function resolveItem(name) {
+    const search = normalizeName(name)
+    if (!search) return null
+    const names = matchRegistryNames(Object.keys(mcData.itemsByName), search)
+    if (names.length > 1) throw ambiguousName(search, names)
+    return names.length ? mcData.itemsByName[names[0]] : null
+}
+
+function countItem(itemId) {
+    return bot.inventory.items().filter(i => i.type === itemId).reduce((sum, i) => sum + i.count, 0)
+}
+
+function parseCoords(params) {
+    const x = Number(params.x), y = Number(params.y), z = Number(params.z)
+    if (![x, y, z].every(Number.isFinite)) throw new Error('coordinates required')
+    return new Vec3(x, y, z).floored()
+}
+
+async function gotoBlock(block, range) {
+    const p = block.position
+    await bot.pathfinder.goto(new goals.GoalNear(p.x, p.y, p.z, range))
+}
+
+// Fuel value in smelted items per fuel item
+function fuelValue(name) {
+    if (name === 'coal' || name === 'charcoal') return 8
+    if (name === 'blaze_rod') return 12
+    if (name === 'lava_bucket') return 100
+    if (name === 'coal_block') return 80
+    if (name.endsWith('_planks') || name.endsWith('_log')) return 1.5
+    return 1
+}
+
+function blockKey(pos) {
+    return `${pos.x},${pos.y},${pos.z}`
+}
+
+// exclude: position keys that must not be dug (a blueprint's own cells)
+async function collectBlocks(task, params, exclude = null) {
+    const ids = resolveBlockIds(params.block)
+    if (ids.length === 0) throw new Error(`unknown block ${params.block}`)
+    const wanted = Math.max(1, Math.min(64, Number(params.count) || 1))
+    let collected = 0
+    const stopProgress = trackProgress(task, () => `${collected}/${wanted} ${params.block}`)
+    try {
+        while (collected < wanted && !task.cancelled) {
+            const pos = exclude
+                ? bot.findBlocks({ matching: ids, maxDistance: 64, count: 64 }).find(p => !exclude.has(blockKey(p)))
+                : bot.findBlock({ matching: ids, maxDistance: 64 })?.position
+            const block = pos && bot.blockAt(pos)
+            if (!block) break
+            await bot.collectBlock.collect(block)
+            collected++
+        }
+    } finally {
+        stopProgress()
+    }
+    if (collected === 0) throw new Error(`no ${params.block} found nearby`)
+    return `collected ${collected}/${wanted} ${params.block}`
+}
+
+async function craftItem(task, params) {
+    const item = resolveItem(params.item)
+    if (!item) throw new Error(`unknown item ${params.item}`)
+    const wanted = Math.max(1, Number(params.count) || 1)
+    const tableBlock = bot.findBlock({ matching: mcData.blocksByName.crafting_table.id, maxDistance: 32 })
+    let recipe = bot.recipesFor(item.id, null, 1, null)[0]
+    let table = null
+    if (!recipe && tableBlock) {
+        recipe = bot.recipesFor(item.id, null, 1, tableBlock)[0]
+        table = tableBlock
+    }
+    if (!recipe) {
+        const needsTable = !tableBlock && bot.recipesAll(item.id, null, true).some(r => r.requiresTable)
+        throw new Error(needsTable ? `need a crafting table for ${item.name}` : `missing ingredients for ${item.name}`)
+    }
+    if (table) await gotoBlock(table, 2)
+    const times = Math.ceil(wanted / recipe.result.count)
+    const before = countItem(item.id)
+    await bot.craft(recipe, times, table)
+    return `crafted ${countItem(item.id) - before} ${item.name}`
+}
+
+const PLACE_FACES = [new Vec3(0, -1, 0), new Vec3(0, 1, 0), new Vec3(-1, 0, 0), new Vec3(1, 0, 0), new Vec3(0, 0, -1), new Vec3(0, 0, 1)]
+
+function findPlaceReference(pos) {
+    return PLACE_FACES.map(f => bot.blockAt(pos.plus(f))).find(b => b && b.boundingBox === 'block') || null
+}
+
+async function placeItem(task, params) {
+    const pos = parseCoords(params)
+    const item = findInventoryItem(params.item)
+    if (!item) throw new Error(`no ${params.item} in inventory`)
+    const current = bot.blockAt(pos)
+    if (current && current.boundingBox !== 'empty') throw new Error(`[${pos.x}, ${pos.y}, ${pos.z}] is occupied by ${current.name}`)
+    await bot.pathfinder.goto(new goals.GoalPlaceBlock(pos, bot.world, { range: 4 }))
+    const ref = findPlaceReference(pos)
+    if (!ref) throw new Error('nothing to place against')
+    await bot.equip(item, 'hand')
+    await bot.placeBlock(ref, pos.minus(ref.position))
+    return `placed ${item.name} at [${pos.x}, ${pos.y}, ${pos.z}]`
+}
+
+// Smokers only cook food and blast furnaces only take ores; the plain furnace does everything
+function smeltingStations(itemName) {
+    if (mcData.foodsByName[itemName]) return ['furnace', 'smoker']
+    if (/^raw_|_ore$|^ancient_debris$/.test(itemName)) return ['furnace', 'blast_furnace']
+    return ['furnace']
+}
+
+async function smeltItem(task, params) {
+    const input = findInventoryItem(params.item)
+    if (!input) throw new Error(`no ${params.item} in inventory`)
+    const count = Math.max(1, Math.min(input.count, Number(params.count) || input.count))
+    const fuel = params.fuel
+        ? findInventoryItem(params.fuel)
+        : bot.inventory.items().find(i => ['coal', 'charcoal'].includes(i.name) || i.name.endsWith('_planks'))
+    if (!fuel) throw new Error('no fuel in inventory')
+    const stations = smeltingStations(input.name)
+    const furnaceIds = stations.filter(n => mcData.blocksByName[n]).map(n => mcData.blocksByName[n].id)
+    const furnaceBlock = bot.findBlock({ matching: furnaceIds, maxDistance: 32 })
+    if (!furnaceBlock) throw new Error(`no ${stations.join(' or ')} nearby`)
+
+    await gotoBlock(furnaceBlock, 2)
+    const furnace = await bot.openFurnace(furnaceBlock)
+    let smelted = 0
+    const stopProgress = trackProgress(task, () => `${smelted}/${count} ${input.name} smelted`)
+    try {
+        const fuelCount = Math.min(fuel.count, Math.ceil(count / fuelValue(fuel.name)))
+        await furnace.putFuel(fuel.type, null, fuelCount)
+        await furnace.putInput(input.type, null, count)
+        await waitForCondition(() => {
+            if (task.cancelled) return true
+            const out = furnace.outputItem()
+            smelted = out ? out.count : 0
+            return smelted >= count || (!furnace.inputItem() && smelted > 0)
+        }, count * 11000 + 5000, 1000)
+        if (furnace.outputItem()) await furnace.takeOutput()
+    } finally {
+        stopProgress()
+        furnace.close()
+    }
+    return `smelted ${smelted} ${input.name}`
+}
+
+// --- STORAGE (Chests) ---
+
+const CONTAINER_BLOCKS = ['chest', 'trapped_chest', 'barrel']
+
+function isKeptGear(item) {
+    return item.name.includes('sword') || item.name.includes('pickaxe') || item.name.includes('helmet') || item.name.includes('chestplate') || item.name.includes('bow')
+}
+
+async function findContainerBlock(params) {
+    if (params && params.x !== undefined) {
+        const pos = parseCoords(params)
+        // Far containers are not loaded yet: walk there first
+        if (!bot.blockAt(pos)) await bot.pathfinder.goto(new goals.GoalNear(pos.x, pos.y, pos.z, 2))
+        const block = bot.blockAt(pos)
+        if (!block || !(CONTAINER_BLOCKS.includes(block.name) || block.name.endsWith('shulker_box'))) {
+            throw new Error(`no container at [${params.x}, ${params.y}, ${params.z}]`)
+        }
+        return block
+    }
+    const block = bot.findBlock({ matching: b => CONTAINER_BLOCKS.includes(b.name), maxDistance: 32 })
+    if (!block) throw new Error('no chest nearby')
+    return block
+}
+
+// Every time a container is opened its contents are sent to main.js for the storage index
+function reportContainer(block, window) {
+    const items = {}
+    for (const item of window.containerItems()) items[item.name] = (items[item.name] || 0) + item.count
+    process.send({
+        type: 'storage_update',
+        data: {
+            dimension: bot.game.dimension,
+            position: { x: block.position.x, y: block.position.y, z: block.position.z },
+            block: block.name,
+            items
+        }
+    })
+}
+
+async function withContainer(block, fn) {
+    await gotoBlock(block, 2)
+    const container = await bot.openContainer(block)
+    try {
+        reportContainer(block, container)
+        const result = await fn(container)
+        reportContainer(block, container)
+        return result
+    } finally {
+        container.close()
+    }
+}
+
+async function depositItems(block, params) {
+    return withContainer(block, async (container) => {
+        const wanted = params.item ? normalizeName(params.item) : ''
+        let left = Number(params.count) > 0 ? Number(params.count) : Infinity
+        let moved = 0
+        for (const item of bot.inventory.items()) {
+            if (left <= 0) break
+            if (wanted ? !item.name.includes(wanted) : isKeptGear(item)) continue
+            const count = Math.min(item.count, left)
+            await container.deposit(item.type, null, count)
+            moved += count
+            left -= count
+        }
+        if (moved === 0) throw new Error(wanted ? `no ${params.item} to deposit` : 'nothing to deposit')
+        return `deposited ${moved} item(s) into ${block.name} at [${block.position.x}, ${block.position.y}, ${block.position.z}]`
+    })
+}
+
+async function withdrawItems(block, params) {
+    return withContainer(block, async (container) => {
+        const wanted = normalizeName(params.item)
+        const stack = container.containerItems().find(i => i.name.includes(wanted))
+        if (!stack) throw new Error(`no ${params.item} in ${block.name}`)
+        const available = container.containerItems().filter(i => i.type === stack.type).reduce((sum, i) => sum + i.count, 0)
+        const count = Math.min(available, Number(params.count) > 0 ? Number(params.count) : available)
+        await container.withdraw(stack.type, null, count)
+        return `withdrew ${count} ${stack.name}`
+    })
+}
+
+function stopAll() {
+    process.send({ type: 'log', text: `🛑 STOPPING ALL ACTIONS`, logType: 'action' })
+    bot.pathfinder.setGoal(null); bot.pvp.stop(); bot.clearControlStates()
+}
+
+// --- BUILDING ---
+// BUILD takes a blueprint (.schem, structure .nbt, JSON block list or blocks from the LLM) and places it bottom-up
+const BUILD_MAX_BLOCKS = 4096
+const BUILD_MAX_FAILURES = 20
+const BUILD_REQUEST_WAIT_MS = 60000
+const SCAFFOLD_DEPTH = 3
+const SCAFFOLD_ITEMS = ['dirt', 'cobblestone', 'netherrack', 'cobbled_deepslate']
+const EMPTY_BLOCKS = ['air', 'cave_air', 'void_air', 'structure_void']
+
+function stripBlockState(name) {
+    return String(name || '').replace(/^minecraft:/, '').replace(/\[.*$/, '')
+}
+
+function checkBlueprintSize(count) {
+    if (count > BUILD_MAX_BLOCKS) throw new Error(`blueprint too large (${count} blocks, max ${BUILD_MAX_BLOCKS})`)
+}
+
+// Entries are {block, x, y, z}; x2/y2/z2 turn an entry into a filled cuboid
+function expandBlockList(entries) {
+    const blocks = []
+    for (const entry of entries) {
+        const block = stripBlockState(entry.block || entry.name)
+        const from = ['x', 'y', 'z'].map(k => Number(entry[k]))
+        if (!block || !from.every(Number.isFinite)) continue
+        const to = ['x2', 'y2', 'z2'].map((k, i) => (entry[k] === undefined ? from[i] : Number(entry[k])))
+        if (!to.every(Number.isFinite)) continue
+        const [lo, hi] = [from.map((v, i) => Math.min(v, to[i])), from.map((v, i) => Math.max(v, to[i]))]
+        const volume = (hi[0] - lo[0] + 1) * (hi[1] - lo[1] + 1) * (hi[2] - lo[2] + 1)
+        checkBlueprintSize(blocks.length + volume)
+        for (let y = lo[1]; y <= hi[1]; y++) {
+            for (let x = lo[0]; x <= hi[0]; x++) {
+                for (let z = lo[2]; z <= hi[2]; z++) blocks.push({ x, y, z, block })
+            }
+        }
+    }
+    return blocks
+}
+
+function decodeVarints(bytes) {
+    const values = []
+    let value = 0
+    let shift = 0
+    for (const b of bytes) {
+        const byte = b & 0xff
+        value |= (byte & 0x7f) << shift
+        if (byte & 0x80) {
+            shift += 7
+            continue
+        }
+        values.push(value)
+        value = 0
+        shift = 0
+    }
+    return values
+}
+
+// Sponge schematic v2 keeps Palette/BlockData at the root, v3 nests them under Schematic.Blocks
+function parseSpongeSchematic(root) {
+    const schematic = root.Schematic || root
+    const section = schematic.Blocks || schematic
+    if (!section.Palette) throw new Error('unsupported schematic (only Sponge .schem is supported)')
+    const palette = {}
+    for (const [state, index] of Object.entries(section.Palette)) palette[index] = stripBlockState(state)
+    const width = schematic.Width
+    const length = schematic.Length
+    return decodeVarints(section.BlockData || section.Data).map((index, i) => ({
+        x: i % width, y: Math.floor(i / (width * length)), z: Math.floor(i / width) % length, block: palette[index]
+    }))
+}
+
+// Vanilla structure block files
+function parseStructureNbt(root) {
+    const palette = (root.palette || (root.palettes || [])[0] || []).map(entry => stripBlockState(entry.Name))
+    return (root.blocks || []).map(b => ({ x: b.pos[0], y: b.pos[1], z: b.pos[2], block: palette[b.state] }))
+}
+
+async function loadBlueprint(params) {
+    let blocks
+    if (Array.isArray(params.blocks)) {
+        blocks = expandBlockList(params.blocks)
+    } else if (params.path) {
+        const buffer = await fs.promises.readFile(params.path)
+        const ext = path.extname(params.path).toLowerCase()
+        if (ext === '.json') {
+            const data = JSON.parse(buffer.toString('utf8'))
+            blocks = expandBlockList(Array.isArray(data) ? data : (data.blocks || []))
+        } else {
+            const root = nbt.simplify((await nbt.parse(buffer)).parsed)
+            blocks = ext === '.nbt' ? parseStructureNbt(root) : parseSpongeSchematic(root)
+        }
+    } else {
+        throw new Error('no blueprint given')
+    }
+    const solid = blocks.filter(b => b.block && !EMPTY_BLOCKS.includes(b.block))
+    checkBlueprintSize(solid.length)
+    return solid
+}
+
+// Wall-mounted variants (wall_torch, oak_wall_sign, ...) are placed from the plain item
+function itemForBlock(name) {
+    const candidates = [name, name.replace('_wall_', '_'), name.replace('wall_', '')]
+    return candidates.find(n => mcData.itemsByName[n]) || null
+}
+
+function countItemByName(name) {
+    return mcData.itemsByName[name] ? countItem(mcData.itemsByName[name].id) : 0
+}
+
+function missingMaterials(needed) {
+    const missing = {}
+    for (const [item, count] of Object.entries(needed)) {
+        const short = count - countItemByName(item)
+        if (short > 0) missing[item] = short
+    }
+    return missing
+}
+
+function describeMaterials(materials) {
+    return Object.entries(materials).map(([item, count]) => `${count} ${item}`).join(', ')
+}
+
+// Blocks the bot may dig for materials: only natural ones, so houses (and this build) are never taken apart
+const NATURAL_SOURCES = {
+    cobblestone: ['stone'],
+    cobbled_deepslate: ['deepslate'],
+    dirt: ['dirt', 'grass_block'],
+    sand: ['sand'],
+    red_sand: ['red_sand'],
+    gravel: ['gravel'],
+    netherrack: ['netherrack'],
+    clay_ball: ['clay']
+}
+
+function naturalSources(item) {
+    if (NATURAL_SOURCES[item]) return NATURAL_SOURCES[item]
+    if (/_(log|stem)$/.test(item) && mcData.blocksByName[item]) return [item]
+    return []
+}
+
+async function gatherNatural(task, item, short, exclude) {
+    const goal = countItemByName(item) + short
+    for (const block of naturalSources(item)) {
+        const left = goal - countItemByName(item)
+        if (left <= 0 || task.cancelled) return
+        try {
+            await collectBlocks(task, { block, count: Math.min(64, left) }, exclude)
+        } catch (e) {}
+    }
+}
+
+// Craft what has a recipe (planks from freshly cut logs), otherwise dig natural sources; the rest is requested in chat
+async function gatherMaterials(task, missing, exclude) {
+    for (const [item, count] of Object.entries(missing)) {
+        if (task.cancelled) return
+        const log = item.endsWith('_planks') ? ['_log', '_stem'].map(s => item.replace(/_planks$/, s)).find(n => mcData.blocksByName[n]) : null
+        if (log) await gatherNatural(task, log, Math.ceil(count / 4) - countItemByName(log), exclude)
+        try {
+            await craftItem(task, { item, count })
+            continue
+        } catch (e) {}
+        await gatherNatural(task, item, count, exclude)
+    }
+}
+
+async function ensureMaterials(task, needed, exclude) {
+    let missing = missingMaterials(needed)
+    if (Object.keys(missing).length === 0) return missing
+    process.send({ type: 'log', text: `🏗️ BUILD: gathering ${describeMaterials(missing)}`, logType: 'action' })
+    await gatherMaterials(task, missing, exclude)
+    missing = missingMaterials(needed)
+    if (Object.keys(missing).length === 0 || task.cancelled) return missing
+    bot.chat(`Для постройки не хватает: ${describeMaterials(missing)}. Принесите, пожалуйста.`)
+    reportTask(task, 'progress', `waiting for materials: ${describeMaterials(missing)}`)
+    await waitForCondition(() => task.cancelled || Object.keys(missingMaterials(needed)).length === 0, BUILD_REQUEST_WAIT_MS, 1000).catch(() => {})
+    return missingMaterials(needed)
+}
+
+function findScaffoldItem(needed) {
+    const items = bot.inventory.items().filter(i => SCAFFOLD_ITEMS.includes(i.name))
+    return items.find(i => !needed[i.name]) || items[0] || null
+}
+
+async function placeScaffold(pos, ctx, depth) {
+    if (depth <= 0) throw new Error('no support to build from')
+    if (!findPlaceReference(pos)) await placeScaffold(pos.offset(0, -1, 0), ctx, depth - 1)
+    const item = findScaffoldItem(ctx.needed)
+    if (!item) throw new Error('no scaffolding blocks')
+    await bot.pathfinder.goto(new goals.GoalPlaceBlock(pos, bot.world, { range: 4 }))
+    const ref = findPlaceReference(pos)
+    await bot.equip(item, 'hand')
+    await bot.placeBlock(ref, pos.minus(ref.position))
+    ctx.scaffold.push({ pos, name: item.name })
+}
+
+async function placeBlueprintBlock(target, ctx) {
+    const current = bot.blockAt(target.pos)
+    if (current && current.name === target.block) return
+    if (!target.item) throw new Error('no item for this block')
+    if (!bot.inventory.items().some(i => i.name === target.item)) throw new Error(`out of ${target.item}`)
+    if (current && current.boundingBox !== 'empty') {
+        if (!ctx.clear) throw new Error(`${current.name} in the way`)
+        await bot.pathfinder.goto(new goals.GoalLookAtBlock(target.pos, bot.world))
+        await bot.dig(current)
+    }
+    if (!findPlaceReference(target.pos)) await placeScaffold(target.pos.offset(0, -1, 0), ctx, SCAFFOLD_DEPTH)
+    await bot.pathfinder.goto(new goals.GoalPlaceBlock(target.pos, bot.world, { range: 4 }))
+    const ref = findPlaceReference(target.pos)
+    if (!ref) throw new Error('nothing to place against')
+    await bot.equip(bot.inventory.items().find(i => i.name === target.item), 'hand')
+    await bot.placeBlock(ref, target.pos.minus(ref.position))
+}
+
+async function removeScaffold(ctx) {
+    for (const { pos, name } of ctx.scaffold.reverse()) {
+        const block = bot.blockAt(pos)
+        if (!block || block.name !== name) continue
+        try {
+            await bot.pathfinder.goto(new goals.GoalLookAtBlock(pos, bot.world))
+            await bot.dig(block)
+        } catch (e) {}
+    }
+}
+
+async function buildBlueprint(task, params) {
+    const blueprint = await loadBlueprint(params)
+    if (blueprint.length === 0) throw new Error('blueprint is empty')
+    const origin = params.x !== undefined ? parseCoords(params) : bot.entity.position.floored()
+    const todo = blueprint
+        .map(b => ({ pos: origin.offset(b.x, b.y, b.z), block: b.block, item: itemForBlock(b.block) }))
+        .filter(t => { const current = bot.blockAt(t.pos); return !current || current.name !== t.block })
+        .sort((a, b) => (a.pos.y - b.pos.y) || (a.pos.x - b.pos.x) || (a.pos.z - b.pos.z))
+    if (todo.length === 0) return 'structure already complete'
+    // Chests, beds or someone's wall in the footprint are only dug out when the order says clear
+    const occupied = todo.filter(t => { const current = bot.blockAt(t.pos); return current && current.boundingBox !== 'empty' })
+    if (occupied.length > 0 && !params.clear) {
+        const names = [...new Set(occupied.map(t => bot.blockAt(t.pos).name))].slice(0, 5).join(', ')
+        throw new Error(`${occupied.length} target cell(s) already hold blocks (${names}); build with clear:true to dig them out`)
+    }
+
+    const needed = {}
+    for (const t of todo) if (t.item) needed[t.item] = (needed[t.item] || 0) + 1
+    const unplaceable = [...new Set(todo.filter(t => !t.item).map(t => t.block))]
+    const missing = await ensureMaterials(task, needed, new Set(blueprint.map(b => blockKey(origin.offset(b.x, b.y, b.z)))))
+    if (task.cancelled) return 'cancelled'
+
+    const layers = [...new Set(todo.map(t => t.pos.y))]
+    const ctx = { needed, scaffold: [], clear: params.clear === true }
+    const failures = []
+    let placed = 0
+    let layer = 0
+    process.send({ type: 'log', text: `🏗️ BUILD: ${todo.length} blocks in ${layers.length} layer(s) at [${origin.x}, ${origin.y}, ${origin.z}]`, logType: 'action' })
+    const stopProgress = trackProgress(task, () => `layer ${layer + 1}/${layers.length}, ${placed}/${todo.length} blocks placed${failures.length ? `, ${failures.length} failed` : ''}`)
+    try {
+        for (const target of todo) {
+            if (task.cancelled) break
+            layer = layers.indexOf(target.pos.y)
+            try {
+                await placeBlueprintBlock(target, ctx)
+                placed++
+            } catch (e) {
+                failures.push(`${target.block} at [${target.pos.x}, ${target.pos.y}, ${target.pos.z}]: ${e.message}`)
+                if (failures.length >= BUILD_MAX_FAILURES) throw new Error(`stopped after ${failures.length} failures (${placed}/${todo.length} placed), last: ${e.message}`)
+            }
+        }
+    } finally {
+        stopProgress()
+        if (!task.cancelled && !params.keep_scaffold) await removeScaffold(ctx)
+    }
+    if (failures.length > 0) process.send({ type: 'log', text: `🏗️ BUILD failures: ${failures.slice(0, 5).join('; ')}`, logType: 'error' })
+    const notes = []
+    if (Object.keys(missing).length > 0) notes.push(`missing ${describeMaterials(missing)}`)
+    if (unplaceable.length > 0) notes.push(`no item for ${unplaceable.join(', ')}`)
+    if (failures.length > 0) notes.push(`${failures.length} failed`)
+    if (placed === 0) throw new Error(`nothing placed${notes.length ? ` (${notes.join('; ')})` : ''}`)
+    return `built ${placed}/${todo.length} blocks${notes.length ? ` (${notes.join('; ')})` : ''}`
+}
+
+// --- FARMING ---
+// FARM harvests mature crops and replants them; BREED feeds pairs of adult animals
+const FARM_DEFAULT_RADIUS = 8
+const FARM_MAX_RADIUS = 32
+const FARM_HEIGHT = 4
+const FARM_LOOP_INTERVAL_MS = 300000
+// Crop block -> seed item that plants it
+const CROPS = { wheat: 'wheat_seeds', carrots: 'carrot', potatoes: 'potato', beetroots: 'beetroot_seeds' }
+const BREED_RADIUS = 16
+// Animals stay in love mode and then on cooldown for about five minutes
+const BREED_COOLDOWN_MS = 300000
+const BREED_FOODS = {
+    cow: ['wheat'], mooshroom: ['wheat'], sheep: ['wheat'], goat: ['wheat'],
+    pig: ['carrot', 'potato', 'beetroot'],
+    chicken: ['wheat_seeds', 'beetroot_seeds', 'melon_seeds', 'pumpkin_seeds', 'torchflower_seeds'],
+    rabbit: ['dandelion', 'carrot', 'golden_carrot'],
+    horse: ['golden_carrot', 'golden_apple'], donkey: ['golden_carrot', 'golden_apple'],
+    llama: ['hay_block'], fox: ['sweet_berries', 'glow_berries'], camel: ['cactus'], turtle: ['seagrass']
+}
+const fedAnimals = new Map()
+
+function cropMaxAge(name) {
+    const age = (mcData.blocksByName[name].states || []).find(state => state.name === 'age')
+    return age ? age.num_values - 1 : 7
+}
+
+function isMatureCrop(block) {
+    return !!block && !!CROPS[block.name] && Number(block.getProperties().age) >= cropMaxAge(block.name)
+}
+
+function findSeed(preferred) {
+    const seeds = Object.values(CROPS)
+    const items = bot.inventory.items().filter(i => seeds.includes(i.name))
+    return items.find(i => i.name === preferred) || items.sort((a, b) => b.count - a.count)[0] || null
+}
+
+async function plantSeed(farmlandPos, preferred) {
+    const farmland = bot.blockAt(farmlandPos)
+    const above = bot.blockAt(farmlandPos.offset(0, 1, 0))
+    if (!farmland || farmland.name !== 'farmland' || !above || above.name !== 'air') return false
+    const seed = findSeed(preferred)
+    if (!seed) return false
+    if (bot.entity.position.distanceTo(farmlandPos) > 4) await bot.pathfinder.goto(new goals.GoalNear(farmlandPos.x, farmlandPos.y + 1, farmlandPos.z, 3))
+    await bot.equip(seed, 'hand')
+    await bot.placeBlock(farmland, new Vec3(0, 1, 0))
+    return true
+}
+
+async function harvestCrop(block) {
+    const pos = block.position
+    await bot.pathfinder.goto(new goals.GoalLookAtBlock(pos, bot.world))
+    await bot.dig(block)
+    // Walk through the spot to pick up the drops
+    await bot.pathfinder.goto(new goals.GoalBlock(pos.x, pos.y, pos.z)).catch(() => {})
+    await bot.waitForTicks(5)
+    return plantSeed(pos.offset(0, -1, 0), CROPS[block.name])
+}
+
+// One pass over the area: harvest and replant mature crops, then sow any bare farmland
+async function farmRound(center, radius, shouldStop, stats) {
+    const inArea = (pos) => Math.abs(pos.x - center.x) <= radius && Math.abs(pos.z - center.z) <= radius && Math.abs(pos.y - center.y) <= FARM_HEIGHT
+    const search = { point: center, maxDistance: radius * 1.5 + FARM_HEIGHT, count: 1024 }
+    const cropIds = Object.keys(CROPS).filter(name => mcData.blocksByName[name]).map(name => mcData.blocksByName[name].id)
+    const mature = bot.findBlocks({ ...search, matching: cropIds }).filter(inArea)
+    for (const pos of mature) {
+        if (shouldStop()) return
+        const block = bot.blockAt(pos)
+        if (!isMatureCrop(block)) continue
+        try {
+            if (await harvestCrop(block)) stats.planted++
+            stats.harvested++
+        } catch (e) {
+            stats.failed++
+        }
+    }
+    const farmland = bot.findBlocks({ ...search, matching: mcData.blocksByName.farmland.id }).filter(inArea)
+    for (const pos of farmland) {
+        if (shouldStop() || !findSeed()) return
+        try {
+            if (await plantSeed(pos)) stats.planted++
+        } catch (e) {
+            stats.failed++
+        }
+    }
+}
+
+async function farmArea(task, params) {
+    const center = params.x !== undefined ? parseCoords(params) : bot.entity.position.floored()
+    const radius = Math.min(FARM_MAX_RADIUS, Number(params.radius) > 0 ? Number(params.radius) : FARM_DEFAULT_RADIUS)
+    const interval = Number(params.interval) > 0 ? Number(params.interval) * 60000 : FARM_LOOP_INTERVAL_MS
+    const stats = { harvested: 0, planted: 0, failed: 0, rounds: 0 }
+    const summary = () => `${stats.harvested} harvested, ${stats.planted} planted${stats.failed ? `, ${stats.failed} failed` : ''}`
+    const stopProgress = trackProgress(task, () => `${params.loop ? `round ${stats.rounds + 1}, ` : ''}${summary()}`)
+    try {
+        do {
+            // findBlocks only sees loaded chunks, so walk to a distant farm before scanning it
+            if (bot.entity.position.distanceTo(center) > radius) {
+                await bot.pathfinder.goto(new goals.GoalNear(center.x, center.y, center.z, 2))
+            }
+            await farmRound(center, radius, () => task.cancelled, stats)
+            for (const animal of (params.loop && Array.isArray(params.breed) ? params.breed : [])) {
+                if (task.cancelled) break
+                try {
+                    process.send({ type: 'log', text: `🌾 FARM: ${await breedAnimals(task, { animal })}`, logType: 'action' })
+                } catch (e) {}
+            }
+            stats.rounds++
+            if (params.loop && !task.cancelled) {
+                process.send({ type: 'log', text: `🌾 FARM round ${stats.rounds}: ${summary()}; next in ${Math.round(interval / 60000)} min`, logType: 'action' })
+                await waitForCondition(() => task.cancelled, interval, 1000).catch(() => {})
+            }
+        } while (params.loop && !task.cancelled)
+    } finally {
+        stopProgress()
+    }
+    if (task.cancelled) return summary()
+    if (stats.harvested === 0 && stats.planted === 0) throw new Error(`no mature crops or bare farmland within ${radius} blocks`)
+    return summary()
+}
+
+function isBabyAnimal(entity) {
+    const keys = (mcData.entitiesByName[entity.name] || {}).metadataKeys || []
+    const index = keys.indexOf('baby')
+    return index >= 0 && entity.metadata[index] === true
+}
+
+async function breedAnimals(task, params) {
+    let name = normalizeName(params.animal)
+    if (!BREED_FOODS[name]) name = name.replace(/s$/, '')
+    const foods = BREED_FOODS[name]
+    if (!foods) throw new Error(`don't know how to breed ${params.animal}`)
+    const now = Date.now()
+    const foodCount = () => bot.inventory.items().filter(i => foods.includes(i.name)).reduce((sum, i) => sum + i.count, 0)
+    const adults = Object.values(bot.entities)
+        .filter(e => e.name === name && !isBabyAnimal(e) && e.position.distanceTo(bot.entity.position) < BREED_RADIUS &&
+            now - (fedAnimals.get(e.id) || 0) > BREED_COOLDOWN_MS)
+        .sort((a, b) => a.position.distanceTo(bot.entity.position) - b.position.distanceTo(bot.entity.position))
+    const pairs = Math.min(Math.floor(adults.length / 2), Math.floor(foodCount() / 2), Number(params.pairs) > 0 ? Number(params.pairs) : Infinity)
+    if (pairs === 0) {
+        throw new Error(adults.length < 2 ? `need two adult ${name} nearby that were not bred recently` : `no ${foods.join('/')} to feed ${name}`)
+    }
+    let fed = 0
+    const stopProgress = trackProgress(task, () => `fed ${fed}/${pairs * 2} ${name}`)
+    try {
+        for (const animal of adults.slice(0, pairs * 2)) {
+            if (task.cancelled || !animal.isValid) continue
+            const food = bot.inventory.items().find(i => foods.includes(i.name))
+            if (!food) break
+            await bot.pathfinder.goto(new goals.GoalFollow(animal, 2))
+            await bot.equip(food, 'hand')
+            await bot.activateEntity(animal)
+            fedAnimals.set(animal.id, Date.now())
+            fed++
+        }
+    } finally {
+        stopProgress()
+    }
+    return `fed ${fed} ${name} (${Math.floor(fed / 2)} pair(s))`
+}
+
+// --- GUARD ---
+// GUARD keeps close to a player, GUARD_AREA holds a post; both fight threats inside their zone until cancelled
+const GUARD_TICK_MS = 250
+const GUARD_PLAYER_RADIUS = 10
+const GUARD_DEFAULT_RADIUS = 8
+const GUARD_CHASE_MARGIN = 8
+const GUARD_RETREAT_HEALTH = 8
+const GUARD_RESUME_HEALTH = 14
+const GUARD_RETREAT_DISTANCE = 12
+// Players marked enemy in memory.json; main.js keeps the list current
+let knownEnemies = new Set()
+
+function logGuard(text) {
+    process.send({ type: 'log', text: `🛡️ GUARD: ${text}`, logType: 'action' })
+}
+
+function threatScore(entity) {
+    if (entity.type === 'player') return 8
+    if (entity.name === 'creeper') return 10
+    if (entity.name === 'skeleton') return 5
+    return 1
+}
+
+// Enemy players only count when an owner gave the order (main.js sets fight_players)
+function isThreat(entity, fightPlayers) {
+    if (!entity || entity === bot.entity || !entity.isValid) return false
+    if (entity.type === 'player') return fightPlayers && knownEnemies.has(String(entity.username).toLowerCase())
+    return isHostileMob(entity)
+}
+
+function findBestFood() {
+    if (!mcData) return null
+    const foods = bot.inventory.items().filter(i => mcData.foodsByName[i.name] && !safety.bannedFoods.includes(i.name))
+    foods.sort((a, b) => mcData.foodsByName[b.name].effectiveQuality - mcData.foodsByName[a.name].effectiveQuality)
+    return foods[0] || null
+}
+
+async function eatFood() {
+    const food = findBestFood()
+    if (!food || bot.food >= 20) return false
+    await bot.equip(food, 'hand')
+    await bot.consume()
+    return food.name
+}
+
+async function guardLoop(task, zone) {
+    const state = { engaged: null, defeated: 0, retreating: false, away: false }
+    const stopProgress = trackProgress(task, () => `guarding ${zone.label}, ${state.defeated} threat(s) defeated${state.retreating ? ', retreating' : ''}`)
+    logGuard(`guarding ${zone.label} (radius ${zone.radius})`)
+    try {
+        while (!task.cancelled) {
+            await guardTick(zone, state)
+            await new Promise(resolve => setTimeout(resolve, GUARD_TICK_MS))
+        }
+    } finally {
+        stopProgress()
+    }
+}
+
+async function guardTick(zone, state) {
+    // The safety layer owns movement while fleeing
+    if (!bot.entity || fleeingSince) return
+    const anchor = zone.anchor()
+    if (!anchor) {
+        if (!state.away) logGuard(`${zone.label} out of sight, waiting`)
+        state.away = true
+        return
+    }
+    state.away = false
+
+    if (state.engaged && !state.engaged.isValid) {
+        state.defeated++
+        logGuard(`${state.engaged.username || state.engaged.name} defeated`)
+        state.engaged = null
+    }
+
+    const threats = Object.values(bot.entities)
+        .filter(e => isThreat(e, zone.fightPlayers) && e.position.distanceTo(anchor) <= zone.radius)
+        .sort((a, b) => (threatScore(b) - threatScore(a)) || (a.position.distanceTo(anchor) - b.position.distanceTo(anchor)))
+
+    // Low health: break off, back away from the nearest threat and eat
+    if (state.retreating ? bot.health < GUARD_RESUME_HEALTH : bot.health <= GUARD_RETREAT_HEALTH) {
+        if (!state.retreating) {
+            state.retreating = true
+            state.engaged = null
+            bot.pvp.stop()
+            logGuard(`low health (${Math.round(bot.health)}/20), retreating`)
+        }
+        const nearest = threats.sort((a, b) => a.position.distanceTo(bot.entity.position) - b.position.distanceTo(bot.entity.position))[0]
+        if (nearest && nearest.position.distanceTo(bot.entity.position) < GUARD_RETREAT_DISTANCE) {
+            bot.pathfinder.setGoal(new goals.GoalInvert(new goals.GoalFollow(nearest, GUARD_RETREAT_DISTANCE)), true)
+        } else if (!inventoryBusy) {
+            bot.pathfinder.setGoal(null)
+            const eaten = await eatFood().catch(() => false)
+            if (eaten) logGuard(`ate ${eaten}`)
+        }
+        return
+    }
+    if (state.retreating) {
+        state.retreating = false
+        logGuard('health restored, back on duty')
+    }
+
+    const target = threats[0]
+    if (target) {
+        if (bot.pvp.target !== target) {
+            state.engaged = target
+            logGuard(`engaging ${target.username || target.name} (${target.position.distanceTo(bot.entity.position).toFixed(1)}m)`)
+            bot.pvp.attack(target)
+        }
+        return
+    }
+
+    // Nothing left in the zone: drop any chase that wandered off and walk back to the post
+    if (bot.pvp.target && bot.pvp.target.position.distanceTo(anchor) > zone.radius + GUARD_CHASE_MARGIN) {
+        logGuard(`${bot.pvp.target.username || bot.pvp.target.name} left the zone, returning`)
+        bot.pvp.stop()
+    }
+    if (bot.pvp.target) return
+    state.engaged = null
+    if (bot.entity.position.distanceTo(anchor) > zone.keep && !bot.pathfinder.isMoving()) zone.returnToPost()
+}
+
+function guardPlayer(task, params) {
+    const name = String(params.target)
+    return guardLoop(task, {
+        label: name,
+        radius: Number(params.radius) > 0 ? Number(params.radius) : GUARD_PLAYER_RADIUS,
+        keep: 3,
+        fightPlayers: params.fight_players === true,
+        anchor: () => bot.players[name]?.entity?.position || null,
+        returnToPost: () => bot.pathfinder.setGoal(new goals.GoalFollow(bot.players[name].entity, 2), true)
+    })
+}
+
+function guardArea(task, params) {
+    const post = parseCoords(params)
+    const radius = Number(params.radius) > 0 ? Number(params.radius) : GUARD_DEFAULT_RADIUS
+    return guardLoop(task, {
+        label: params.waypoint ? `${params.waypoint} [${post.x}, ${post.y}, ${post.z}]` : `[${post.x}, ${post.y}, ${post.z}]`,
+        radius,
+        keep: 2,
+        fightPlayers: params.fight_players === true,
+        anchor: () => post,
+        returnToPost: () => bot.pathfinder.setGoal(new goals.GoalNear(post.x, post.y, post.z, 1))
+    })
+}
+
+// --- TASK QUEUE ---
+// Every AI action runs as a task and reports start/progress/done/failed back to main.js.
+
+function reportTask(task, status, detail) {
+    process.send({ type: 'task_event', id: task.id, action: task.action, params: task.params, status, detail: detail || '', remaining: taskQueue.length })
+}
+
+function trackProgress(task, describe) {
+    const timer = setInterval(() => {
+        if (task.cancelled) return
+        try { reportTask(task, 'progress', describe()) } catch (e) {}
+    }, TASK_PROGRESS_INTERVAL_MS)
+    return () => clearInterval(timer)
+}
+
+function cancelTasks(reason) {
+    const pending = taskQueue
+    taskQueue = []
+    if (currentTask) {
+        currentTask.cancelled = true
+        reportTask(currentTask, 'failed', `cancelled (${reason})`)
+        bot.pathfinder.setGoal(null)
+        bot.pvp.stop()
+        if (currentTask.abort) currentTask.abort(new Error('cancelled'))
+    }
+    for (const task of pending) reportTask(task, 'failed', `cancelled (${reason})`)
+}
+
+function enqueuePlan(steps) {
+    cancelTasks('replaced by new plan')
+    for (const step of steps) {
+        if (!step || !step.action) continue
+        taskQueue.push({ id: ++taskSeq, action: String(step.action).toUpperCase(), params: step.params || {}, cancelled: false })
+    }
+    if (taskQueue.length > 1) {
+        process.send({ type: 'log', text: `📋 PLAN: ${taskQueue.map(t => t.action).join(' → ')}`, logType: 'action' })
+    }
+    runQueue()
+}
+
+function runTask(task) {
+    return new Promise((resolve, reject) => {
+        task.abort = reject
+        executeAction(task).then(resolve, reject)
+    })
+}
+
+async function runQueue() {
+    if (currentTask) return
+    while (taskQueue.length > 0) {
+        const task = taskQueue.shift()
+        currentTask = task
+        reportTask(task, 'start')
+        try {
+            const detail = await runTask(task)
+            if (!task.cancelled) reportTask(task, 'done', detail)
+        } catch (e) {
+            if (!task.cancelled) {
+                reportTask(task, 'failed', e.message)
+                const skipped = taskQueue
+                taskQueue = []
+                for (const rest of skipped) reportTask(rest, 'failed', `skipped (step ${task.action} failed)`)
+            }
+        } finally {
+            currentTask = null
+        }
+    }
+}
+
+async function executeAction(task) {
+    const cmd = task.action.toLowerCase()
+    const params = task.params || {}
+
+    if (cmd === 'stop') {
+        stopAll()
+        return 'stopped'
+    }
+    else if (cmd === 'follow' || cmd === 'move_to_player') {
+        const target = bot.players[params.target]?.entity
+        if (!target) throw new Error(`player ${params.target} not visible`)
+        process.send({ type: 'log', text: `🏃 FOLLOWING ${params.target}`, logType: 'action' })
+        bot.pathfinder.setGoal(new goals.GoalFollow(target, 2), true)
+        const stopProgress = trackProgress(task, () => `${target.position.distanceTo(bot.entity.position).toFixed(1)} blocks from ${params.target}`)
+        try {
+            await waitForCondition(() => target.position.distanceTo(bot.entity.position) <= 3, 60000, 250)
+        } catch (e) {
+            bot.pathfinder.setGoal(null)
+            throw new Error(`could not reach ${params.target}`)
+        } finally {
+            stopProgress()
+        }
+        return `reached ${params.target}, keeping close`
+    }
+    else if (cmd === 'goto' || cmd === 'move_to' || cmd === 'run') {
+        const { x, y, z } = params
+        if (params.dimension) throw new Error(`waypoint ${params.waypoint} is in the ${params.dimension}, not in this dimension`)
+        if (![x, y, z].every(Number.isFinite)) throw new Error(params.waypoint ? `unknown waypoint ${params.waypoint}` : 'coordinates required')
+        process.send({ type: 'log', text: `🚶 MOVING TO ${params.waypoint ? `${params.waypoint} ` : ''}[${x}, ${y}, ${z}]`, logType: 'action' })
+        const stopProgress = trackProgress(task, () => `${bot.entity.position.distanceTo({ x, y, z }).toFixed(1)} blocks left`)
+        try {
+            await bot.pathfinder.goto(new goals.GoalNear(x, y, z, 1))
+        } finally {
+            stopProgress()
+        }
+        return `arrived at [${x}, ${y}, ${z}]`
+    }
+    else if (cmd === 'attack' || cmd === 'fight') {
+        // Without a named target only hostile mobs qualify, never the nearest player
+        const target = (params && params.target) ? bot.players[params.target]?.entity : bot.nearestEntity(e => isHostileMob(e))
+        if (!target) throw new Error(params && params.target ? `player ${params.target} not visible` : 'no hostile mob nearby')
+        const name = target.username || target.name
+        bot.pvp.attack(target)
+        let onStopped, cancelWatch
+        try {
+            await new Promise((resolve) => {
+                onStopped = resolve
+                bot.once('stoppedAttacking', resolve)
+                // A cancelled task must not leave its listener behind for a later fight
+                cancelWatch = setInterval(() => { if (task.cancelled) resolve() }, 250)
+            })
+        } finally {
+            clearInterval(cancelWatch)
+            bot.removeListener('stoppedAttacking', onStopped)
+        }
+        return target.isValid ? `stopped attacking ${name}` : `${name} defeated`
+    }
+    else if (cmd === 'guard') {
+        if (!bot.players[params.target]) throw new Error(`player ${params.target} is not online`)
+        await guardPlayer(task, params)
+        return `stopped guarding ${params.target}`
+    }
+    else if (cmd === 'guard_area') {
+        await guardArea(task, params)
+        return 'stopped guarding the area'
+    }
+    else if (cmd === 'lookat' || cmd === 'look_at') {
+        const target = bot.players[params.target]?.entity || bot.nearestEntity(e => e.type === 'player')
+        if (!target) throw new Error('nobody to look at')
+        process.send({ type: 'log', text: `👀 LOOKING AT ${params.target || 'entity'}`, logType: 'action' })
+        await bot.lookAt(target.position.offset(0, target.height, 0))
+        return `looking at ${target.username || target.name}`
+    }
+    else if (cmd === 'equip' || cmd === 'hold') {
+        if (!params.item) throw new Error('no item specified')
+        const item = findInventoryItem(params.item)
+        if (!item) throw new Error(`no ${params.item} in inventory`)
+        await bot.equip(item, 'hand')
+        process.send({ type: 'log', text: `Equipped ${item.name}`, logType: 'info' })
+        return `holding ${item.name}`
+    }
+    else if (cmd === 'drop' || cmd === 'give' || cmd === 'toss') {
+        if (!params.item) throw new Error('no item specified')
+        const item = findInventoryItem(params.item)
+        if (!item) throw new Error(`no ${params.item} in inventory`)
+        const targetName = params.target ? String(params.target) : ''
+        const count = Number(params.count)
+        try {
+            if (targetName) {
+                process.send({ type: 'log', text: `🎁 MOVING TO ${targetName} TO DROP ITEM`, logType: 'action' })
+                await approachTarget(targetName, 2.2, 12000)
+            }
+            await bot.look(bot.entity.yaw, 0)
+            await bot.equip(item, 'hand')
+            await tossItem(item, count)
+        } catch (e) {
+            process.send({ type: 'log', text: `Drop error: ${e.message}`, logType: 'error' })
+            throw e
+        }
+        return `dropped ${item.name}${targetName ? ` for ${targetName}` : ''}`
+    }
+    else if (cmd === 'collect') {
+        process.send({ type: 'log', text: `⛏️ COLLECTING ${params.count || 1}x ${params.block}`, logType: 'action' })
+        return collectBlocks(task, params)
+    }
+    else if (cmd === 'mine' || cmd === 'dig') {
+        const pos = parseCoords(params)
+        const block = bot.blockAt(pos)
+        if (!block || block.boundingBox === 'empty') throw new Error(`nothing to mine at [${pos.x}, ${pos.y}, ${pos.z}]`)
+        process.send({ type: 'log', text: `⛏️ MINING ${block.name} AT [${pos.x}, ${pos.y}, ${pos.z}]`, logType: 'action' })
+        await bot.collectBlock.collect(block)
+        return `mined ${block.name}`
+    }
+    else if (cmd === 'craft') {
+        process.send({ type: 'log', text: `🔨 CRAFTING ${params.count || 1}x ${params.item}`, logType: 'action' })
+        return craftItem(task, params)
+    }
+    else if (cmd === 'place') {
+        process.send({ type: 'log', text: `🧱 PLACING ${params.item} AT [${params.x}, ${params.y}, ${params.z}]`, logType: 'action' })
+        return placeItem(task, params)
+    }
+    else if (cmd === 'build') {
+        process.send({ type: 'log', text: `🏗️ BUILDING ${params.file || 'blueprint'}`, logType: 'action' })
+        return buildBlueprint(task, params)
+    }
+    else if (cmd === 'farm') {
+        process.send({ type: 'log', text: `🌾 FARMING${params.loop ? ' (loop)' : ''} AROUND ${params.x !== undefined ? `[${params.x}, ${params.y}, ${params.z}]` : 'here'}`, logType: 'action' })
+        return farmArea(task, params)
+    }
+    else if (cmd === 'breed') {
+        process.send({ type: 'log', text: `🐄 BREEDING ${params.animal}`, logType: 'action' })
+        return breedAnimals(task, params)
+    }
+    else if (cmd === 'smelt') {
+        process.send({ type: 'log', text: `🔥 SMELTING ${params.item}`, logType: 'action' })
+        return smeltItem(task, params)
+    }
+    else if (cmd === 'deposit' || cmd === 'store') {
+        const block = await findContainerBlock(params)
+        process.send({ type: 'log', text: `📥 DEPOSIT ${params.item || 'loot'} INTO ${block.name}`, logType: 'action' })
+        return depositItems(block, params)
+    }
+    else if (cmd === 'withdraw' || cmd === 'take') {
+        if (!params.item) throw new Error('no item specified')
+        if (params.x === undefined) throw new Error(`don't know where ${params.item} is stored`)
+        const block = await findContainerBlock(params)
+        process.send({ type: 'log', text: `📤 WITHDRAW ${params.item} FROM ${block.name}`, logType: 'action' })
+        return withdrawItems(block, params)
+    }
+    else if (cmd === 'set_waypoint') {
+        const pos = params.x !== undefined ? parseCoords(params) : bot.entity.position.floored()
+        process.send({
+            type: 'waypoint_set',
+            data: { name: params.name, dimension: bot.game.dimension, x: pos.x, y: pos.y, z: pos.z, created_by: params.created_by }
+        })
+        return `waypoint ${params.name} saved at [${pos.x}, ${pos.y}, ${pos.z}]`
+    }
+    else if (cmd === 'autonomy') {
+        const config = {}
+        if (params.enabled !== undefined) config.enabled = params.enabled === true || params.enabled === 'true'
+        if (params.master !== undefined) config.master = String(params.master || '')
+        if (params.behaviour && AUTONOMY_BEHAVIOURS.includes(params.behaviour)) {
+            config.behaviours = { [params.behaviour]: params.behaviour_enabled !== false && params.behaviour_enabled !== 'false' }
+        }
+        applyAutonomyConfig(config)
+        return `autonomy ${autonomy.enabled ? 'on' : 'off'}`
+    }
+    throw new Error(`unknown action ${task.action}`)
+}
+
+// --- AUTONOMY (The Brain) ---
+
+function logAuto(text) {
+    process.send({ type: 'log', text: `🤖 AUTO: ${text}`, logType: 'action' })
+}
+
+function sendAutonomyState() {
+    process.send({ type: 'autonomy_state', data: autonomy })
+}
+
+function applyAutonomyConfig(config) {
+    if (!config || typeof config !== 'object') return
+    const before = JSON.stringify(autonomy)
+    if (typeof config.enabled === 'boolean') autonomy.enabled = config.enabled
+    if (typeof config.master === 'string') autonomy.master = config.master.trim()
+    if (config.behaviours && typeof config.behaviours === 'object') {
+        for (const name of AUTONOMY_BEHAVIOURS) {
+            if (typeof config.behaviours[name] === 'boolean') autonomy.behaviours[name] = config.behaviours[name]
+        }
+    }
+    if (JSON.stringify(autonomy) === before) return
+    const active = AUTONOMY_BEHAVIOURS.filter(b => autonomy.behaviours[b]).join(', ') || 'none'
+    logAuto(`${autonomy.enabled ? 'ON' : 'OFF'}${autonomy.master ? ` (master: ${autonomy.master})` : ''} [${active}]`)
+    if (!autonomy.enabled && !currentTask && bot.entity) { bot.pathfinder.setGoal(null); bot.pvp.stop() }
+    sendAutonomyState()
+}
+
+function behaviourOn(name) {
+    return autonomy.enabled && autonomy.behaviours[name]
+}
+
+async function runBehaviour(label, fn) {
+    autonomyBusy = true
+    logAuto(label)
+    try {
+        await fn()
+    } catch (e) {
+        process.send({ type: 'log', text: `Autonomy error (${label}): ${e.message}`, logType: 'error' })
+    } finally {
+        autonomyBusy = false
+    }
+}
+
+async function dumpLoot(chestBlock) {
+    await depositItems(chestBlock, {})
+}
+
+async function findFood() {
+    // Try crops first, replanting what was harvested
+    const crop = bot.findBlock({ matching: b => isMatureCrop(b), maxDistance: 32 })
+    if (crop) {
+        await harvestCrop(crop)
+        return
+    }
+    // Try mobs (pigs/cows)
+    const animal = bot.nearestEntity(e => (e.name === 'pig' || e.name === 'cow' || e.name === 'chicken') && e.position.distanceTo(bot.entity.position) < 20)
+    if (animal) bot.pvp.attack(animal)
+}
+
+async function brainTick() {
+    if (!autonomy.enabled || !bot.entity || !mcData) return
+    if (autonomyBusy || currentTask || taskQueue.length > 0 || bot.pvp.target || bot.pathfinder.isMoving()) return
+
+    // 1. SURVIVAL: NIGHT CHECK
+    if (behaviourOn('sleep') && bot.time.timeOfDay >= 13000 && !bot.isSleeping) {
+        const bed = bot.findBlock({ matching: block => bot.isABed(block), maxDistance: 32 })
+        if (bed) {
+            // bot.sleep only works within reach of the bed
+            await runBehaviour('night, going to sleep', async () => {
+                await gotoBlock(bed, 2)
+                await bot.sleep(bed)
+            })
+            return
+        }
+    }
+
+    // 2. RESOURCE MANAGEMENT: FULL INVENTORY
+    if (behaviourOn('dumpLoot') && bot.inventory.items().length > 30) {
+        const chest = bot.findBlock({ matching: mcData.blocksByName.chest.id, maxDistance: 32 })
+        if (chest) {
+            await runBehaviour('inventory full, dumping loot', () => dumpLoot(chest))
+            return
+        }
+    }
+
+    // 3. HUNGER: GATHER FOOD
+    if (behaviourOn('findFood') && bot.food < 15 && !findBestFood()) {
+        await runBehaviour('hungry, looking for food', findFood)
+        return
+    }
+
+    // 4. FARMING: TEND NEARBY CROPS EVERY FEW MINUTES
+    if (behaviourOn('farm') && Date.now() - lastFarmRound > FARM_LOOP_INTERVAL_MS) {
+        const crop = bot.findBlock({ matching: b => isMatureCrop(b), maxDistance: FARM_DEFAULT_RADIUS * 2 })
+        if (crop) {
+            lastFarmRound = Date.now()
+            const stats = { harvested: 0, planted: 0, failed: 0 }
+            await runBehaviour('tending crops', () => farmRound(crop.position, FARM_DEFAULT_RADIUS, () => !behaviourOn('farm') || !!currentTask, stats))
+            return
+        }
+    }
+
+    // 5. BOREDOM: FOLLOW MASTER OR CHOP WOOD
+    if (autonomy.master) {
+        const target = bot.players[autonomy.master]?.entity
+        if (target && bot.entity.position.distanceTo(target.position) > 5) {
+            bot.pathfinder.setGoal(new goals.GoalFollow(target, 3), true)
+        }
+    } else if (behaviourOn('chopTrees') && Math.random() < 0.3) {
+        const tree = bot.findBlock({ matching: b => b.name.includes('log'), maxDistance: 20 })
+        if (tree) await runBehaviour('idle, chopping a tree', () => bot.collectBlock.collect(tree))
+    }
+}
 
-// Get config from args
-const args = JSON.parse(process.argv[2])
+function ambientChat() {
+    if (!behaviourOn('ambientChat') || !bot.entity) return
+    if (bot.isRaining && Math.random() < 0.3) bot.chat("Опять дождь... Ржавею.")
+    else if (bot.health < 10 && Math.random() < 0.5) bot.chat("Мне нужен врач.")
+    else if (Math.random() < 0.1) bot.chat("Скучно. Есть миссии?")
+}
 
-const bot = mineflayer.createBot({
-  host: args.host,
-  port: args.port,
-  username: args.username,
-  version: args.version,
-  auth: 'offline'
+// Autonomous combat runs every tick with threat prioritisation; survival reflexes live in the SAFETY section
+bot.on('physicsTick', async () => {
+    if (!bot.entity || reflexBusy) return
+
+    if (behaviourOn('combat') && !currentTask && !fleeingSince) {
+        const mobs = Object.values(bot.entities).filter(e => isHostileMob(e) && e.position.distanceTo(bot.entity.position) < 10)
+        if (mobs.length === 0) return
+        // Sort: Creeper > Skeleton > Others, then by distance
+        const score = (e) => (e.name === 'creeper' ? 10 : (e.name === 'skeleton' ? 5 : 1))
+        mobs.sort((a, b) => (score(b) - score(a)) || (a.position.distanceTo(bot.entity.position) - b.position.distanceTo(bot.entity.position)))
+        const target = mobs[0]
+        if (bot.pvp.target !== target) {
+            logAuto(`engaging ${target.name}`)
+            bot.pvp.attack(target)
+        }
+    }
 })
 
-// Load Plugins
-bot.loadPlugin(pathfinder)
-bot.loadPlugin(pvp)
-bot.loadPlugin(armorManager)
-bot.loadPlugin(autoEat)
-bot.loadPlugin(collectBlock)
-bot.loadPlugin(toolPlugin)
+// --- SAFETY ---
+// Survival layer that runs regardless of autonomy and tasks: eating, armour, totem, falls, lava, drowning, fleeing
+const SAFETY_TICK_MS = 500
+const SAFETY_ARMOR_CHECK_MS = 10000
+const SAFETY_FLEE_RADIUS = 10
+const SAFETY_FLEE_DISTANCE = 16
+const SAFETY_FLEE_MAX_MS = 10000
+const SAFETY_AIR_LEVEL = 8
+const SAFETY_LAVA_ESCAPE_RADIUS = 6
+const FALL_VELOCITY = -0.6
+const MLG_GROUND_DISTANCE = 3
+const SAFETY_TOGGLES = ['autoEat', 'autoArmor', 'totem', 'fall', 'lava', 'drowning', 'flee']
+const SAFETY_LIMITS = { eatAt: [1, 19], eatHealth: [1, 19], totemHealth: [1, 20], fleeCount: [2, 20] }
+let safety = {
+    autoEat: true,
+    eatAt: 14,
+    eatHealth: 10,
+    bannedFoods: ['rotten_flesh', 'spider_eye', 'poisonous_potato', 'pufferfish', 'chorus_fruit', 'suspicious_stew', 'golden_apple'],
+    autoArmor: true,
+    totem: true,
+    totemHealth: 10,
+    fall: true,
+    lava: true,
+    drowning: true,
+    flee: true,
+    fleeCount: 4
+}
+let safetyBusy = false
+let fleeingSince = 0
+let escapingLava = false
+let surfacing = false
+let lastArmorCheck = 0
 
-// Flags
-let ignorePickup = false
-let inventoryBusy = false
+function logSafety(text) {
+    process.send({ type: 'log', text: `🛟 SAFETY: ${text}`, logType: 'action' })
+}
 
-function waitForCondition(checkFn, timeoutMs, intervalMs) {
-    return new Promise((resolve, reject) => {
-        const start = Date.now()
-        const timer = setInterval(() => {
-            let ok = false
-            try { ok = checkFn() } catch (e) {}
-            if (ok) {
-                clearInterval(timer)
-                resolve(true)
-                return
-            }
-            if (Date.now() - start > timeoutMs) {
-                clearInterval(timer)
-                reject(new Error('timeout'))
-            }
-        }, intervalMs)
-    })
+function sendSafetyState() {
+    process.send({ type: 'safety_state', data: safety })
 }
 
-async function approachTarget(targetName, range, timeoutMs) {
-    const target = bot.players[targetName]?.entity
-    if (!target) throw new Error('target_not_visible')
-    bot.pathfinder.setGoal(new goals.GoalFollow(target, range), true)
+function applySafetyConfig(config) {
+    if (!config || typeof config !== 'object') return
+    const before = JSON.stringify(safety)
+    for (const key of SAFETY_TOGGLES) {
+        if (typeof config[key] === 'boolean') safety[key] = config[key]
+    }
+    for (const [key, [min, max]] of Object.entries(SAFETY_LIMITS)) {
+        if (config[key] === undefined || config[key] === null || config[key] === '') continue
+        const value = Number(config[key])
+        if (Number.isFinite(value)) safety[key] = Math.min(max, Math.max(min, Math.round(value)))
+    }
+    if (Array.isArray(config.bannedFoods)) safety.bannedFoods = config.bannedFoods.map(normalizeName).filter(Boolean)
+    syncAutoEat()
+    if (JSON.stringify(safety) === before) return
+    const active = SAFETY_TOGGLES.filter(k => safety[k]).join(', ') || 'none'
+    logSafety(`[${active}] eat at food ${safety.eatAt} or health ${safety.eatHealth}, totem below ${safety.totemHealth} HP, flee from ${safety.fleeCount}+ hostiles`)
+    sendSafetyState()
+}
+
+// Plugins are injected once the server version is known, so this also runs on spawn
+function syncAutoEat() {
+    if (!bot.autoEat) return
+    bot.autoEat.options.startAt = safety.eatAt
+    bot.autoEat.options.bannedFood = safety.bannedFoods
+    // Eating from the off-hand would push the totem out
+    bot.autoEat.options.offhand = false
+    if (safety.autoEat) bot.autoEat.enable()
+    else bot.autoEat.disable()
+}
+
+// mineflayer-armor-manager equips armour as soon as it is picked up; the Auto-armour toggle gates that listener
+function withArmorToggle(target, options) {
+    const on = target.on
+    target.on = (event, listener) => on.call(target, event, event === 'playerCollect'
+        ? (...args) => { if (safety.autoArmor) listener(...args) }
+        : listener)
     try {
-        await waitForCondition(() => {
-            const t = bot.players[targetName]?.entity
-            if (!t || !bot.entity) return false
-            return t.position.distanceTo(bot.entity.position) <= range
-        }, timeoutMs, 250)
+        armorManager(target, options)
     } finally {
+        target.on = on
+    }
+}
+
+// Crafted, withdrawn or moved armour never passes playerCollect, so the safety tick runs the plugin's full check
+async function equipBestArmor() {
+    if (!bot.armorManager) return
+    const before = ARMOR_SLOTS.map(slot => bot.inventory.slots[slot]?.name)
+    await bot.armorManager.equipAll()
+    ARMOR_SLOTS.forEach((slot, index) => {
+        const worn = bot.inventory.slots[slot]
+        if (worn && worn.name !== before[index]) logSafety(`wearing ${worn.name}`)
+    })
+}
+
+async function equipTotem() {
+    const offhand = bot.inventory.slots[45]
+    if (offhand && offhand.name === 'totem_of_undying') return
+    const totem = bot.inventory.items().find(i => i.name === 'totem_of_undying')
+    if (!totem) return
+    await bot.equip(totem, 'off-hand')
+    logSafety(`totem in off-hand (health ${Math.round(bot.health)}/20)`)
+}
+
+function groundDistance(max) {
+    const p = bot.entity.position
+    for (let dy = 1; dy <= max; dy++) {
+        const block = bot.blockAt(p.offset(0, -dy, 0))
+        if (block && block.boundingBox === 'block') return dy
+    }
+    return Infinity
+}
+
+async function mlgBucket() {
+    const bucket = bot.inventory.items().find(i => i.name === 'water_bucket')
+    if (!bucket || String(bot.game.dimension).includes('nether')) return
+    await bot.equip(bucket, 'hand')
+    await bot.look(bot.entity.yaw, -Math.PI / 2, true)
+    bot.activateItem()
+    logSafety('falling, MLG water bucket')
+    await waitForCondition(() => bot.entity.onGround || bot.entity.isInWater, 3000, 50).catch(() => {})
+    // Scoop the water back up
+    const water = bot.findBlock({ matching: b => b.name === 'water', maxDistance: 3 })
+    const empty = bot.inventory.items().find(i => i.name === 'bucket')
+    if (!water || !empty) return
+    await bot.equip(empty, 'hand')
+    await bot.lookAt(water.position.offset(0.5, 0.5, 0.5), true)
+    bot.activateItem()
+}
+
+function isBlockNamed(pos, name) {
+    const block = bot.blockAt(pos)
+    return !!block && block.name === name
+}
+
+function findSafeSpot(radius) {
+    const isFree = (pos) => {
+        const block = bot.blockAt(pos)
+        return !!block && block.boundingBox === 'empty' && block.name !== 'lava' && block.name !== 'fire'
+    }
+    return bot.findBlock({
+        matching: b => b.boundingBox === 'block' && b.name !== 'magma_block',
+        maxDistance: radius,
+        useExtraInfo: b => isFree(b.position.offset(0, 1, 0)) && isFree(b.position.offset(0, 2, 0))
+    })
+}
+
+async function escapeLava() {
+    const feet = bot.entity.position
+    const inLava = isBlockNamed(feet, 'lava') || isBlockNamed(feet.offset(0, 1, 0), 'lava')
+    if (!inLava) {
+        escapingLava = false
+        return
+    }
+    if (escapingLava) return
+    escapingLava = true
+    bot.pvp.stop()
+    const spot = findSafeSpot(SAFETY_LAVA_ESCAPE_RADIUS)
+    logSafety(spot ? `in lava, escaping to [${spot.position.x}, ${spot.position.y + 1}, ${spot.position.z}]` : 'in lava, no safe block nearby')
+    if (spot) bot.pathfinder.setGoal(new goals.GoalBlock(spot.position.x, spot.position.y + 1, spot.position.z))
+    bot.setControlState('jump', true)
+    setTimeout(() => bot.setControlState('jump', false), 1000)
+}
+
+function avoidDrowning() {
+    const headInWater = isBlockNamed(bot.entity.position.offset(0, 1.6, 0), 'water')
+    if (headInWater && bot.oxygenLevel < SAFETY_AIR_LEVEL) {
+        if (!surfacing) logSafety(`low air (${bot.oxygenLevel}/20), surfacing`)
+        surfacing = true
+        bot.setControlState('jump', true)
+    } else if (surfacing && (!headInWater || bot.oxygenLevel >= 20)) {
+        surfacing = false
+        bot.setControlState('jump', false)
+    }
+}
+
+function fleeIfOutnumbered() {
+    const me = bot.entity.position
+    const hostiles = Object.values(bot.entities)
+        .filter(e => isHostileMob(e) && e.position.distanceTo(me) < SAFETY_FLEE_RADIUS)
+    if (fleeingSince) {
+        if (hostiles.length >= safety.fleeCount && Date.now() - fleeingSince < SAFETY_FLEE_MAX_MS) return
+        fleeingSince = 0
         bot.pathfinder.setGoal(null)
+        logSafety(hostiles.length >= safety.fleeCount ? 'still surrounded, stopped running' : 'escaped')
+        return
     }
+    if (hostiles.length < safety.fleeCount) return
+    // Run directly away from the middle of the group
+    const center = hostiles.reduce((sum, e) => sum.plus(e.position), new Vec3(0, 0, 0)).scaled(1 / hostiles.length)
+    const away = me.minus(center)
+    const length = Math.hypot(away.x, away.z) || 1
+    const x = Math.round(me.x + away.x / length * SAFETY_FLEE_DISTANCE)
+    const z = Math.round(me.z + away.z / length * SAFETY_FLEE_DISTANCE)
+    fleeingSince = Date.now()
+    bot.pvp.stop()
+    bot.pathfinder.setGoal(new goals.GoalXZ(x, z))
+    logSafety(`outnumbered by ${hostiles.length} hostiles, fleeing to [${x}, ${z}]`)
 }
 
-async function withInventoryLock(fn) {
-    if (inventoryBusy) return
-    inventoryBusy = true
+async function safetyTick() {
+    if (!bot.entity || !mcData || safetyBusy || bot.health <= 0) return
+    safetyBusy = true
     try {
-        await fn()
+        if (safety.lava) await escapeLava()
+        if (safety.drowning) avoidDrowning()
+        if (safety.flee) fleeIfOutnumbered()
+        else if (fleeingSince) fleeingSince = 0
+        if (safety.autoArmor && Date.now() - lastArmorCheck > SAFETY_ARMOR_CHECK_MS && !inventoryBusy) {
+            lastArmorCheck = Date.now()
+            await equipBestArmor()
+        }
+        // Below the health threshold eat even when hunger alone would not trigger it, so health regenerates
+        if (safety.autoEat && bot.health < safety.eatHealth && bot.food < 20 && !bot.pvp.target && !bot.autoEat.isEating) {
+            bot.autoEat.options.startAt = 19
+            try { await bot.autoEat.eat() } finally { bot.autoEat.options.startAt = safety.eatAt }
+        }
+    } catch (e) {
+        if (e.message !== 'No food found.') process.send({ type: 'log', text: `Safety error: ${e.message}`, logType: 'error' })
     } finally {
-        inventoryBusy = false
+        safetyBusy = false
     }
 }
 
+// Falls and the totem cannot wait for the safety tick
+bot.on('physicsTick', async () => {
+    if (!bot.entity || reflexBusy || bot.health <= 0) return
+    const falling = safety.fall && bot.entity.velocity.y < FALL_VELOCITY && !bot.entity.isInWater && groundDistance(MLG_GROUND_DISTANCE) <= MLG_GROUND_DISTANCE
+    const needTotem = safety.totem && bot.health <= safety.totemHealth
+    if (!falling && !needTotem) return
+    reflexBusy = true
+    try {
+        if (falling) await mlgBucket()
+        else await equipTotem()
+    } catch (e) {} finally { reflexBusy = false }
+})
+
+bot.on('autoeat_started', (item) => logSafety(`eating ${item.name}`))
+
+bot.on('spawn', () => {
+    fleeingSince = 0
+    escapingLava = false
+    surfacing = false
+    lastArmorCheck = 0
+    syncAutoEat()
+})
+
+setInterval(() => { safetyTick().catch(() => {}) }, SAFETY_TICK_MS)
+applySafetyConfig(args.safety || {})
+
+setInterval(() => { brainTick().catch(() => {}) }, 5000)
+setInterval(ambientChat, 30000)
+applyAutonomyConfig(args.autonomy)
+
+bot.once('login', () => {
+  process.send({ type: 'log', text: `Logged in as ${bot.username} (${botOptions.auth})`, logType: 'info' })
+})
+
+// Each connection is its own process, so only the first spawn is a (re)connect
+let hasSpawned = false
+
 bot.on('spawn', () => {
   process.send({ type: 'log', text: 'Bot spawned successfully!', logType: 'info' })
-  const mcData = require('minecraft-data')(bot.version)
+  // Runs before the GAME EVENTS spawn listener, so awaitingRespawn still tells a death respawn apart
+  const reason = !hasSpawned ? 'connect' : (awaitingRespawn ? 'respawn' : 'world_change')
+  hasSpawned = true
+  process.send({ type: 'spawned', username: bot.username, reason })
+  mcData = require('minecraft-data')(bot.version)
   const defaultMove = new Movements(bot, mcData)
   defaultMove.canDig = true
   defaultMove.allow1by1towers = true
@@ -99,8 +1635,7 @@ bot.on('entityHurt', (entity) => {
     if (entity !== bot.entity) return
     const attacker = bot.nearestEntity(e => e.type === 'player' && e.position.distanceTo(bot.entity.position) < 5)
     if (attacker) {
-        process.send({ type: 'chat_event', username: 'SYSTEM', message: `WARNING: You were ATTACKED by player ${attacker.username}!` })
-        process.send({ type: 'log', text: `[Event] Attacked by ${attacker.username}`, logType: 'error' })
+        sendGameEvent('attacked', `WARNING: You were ATTACKED by player ${attacker.username}!`)
     }
 })
 
@@ -128,24 +1663,279 @@ bot.on('playerCollect', (collector, collected) => {
             const diff = added.count - oldVal
             const itemName = added.displayName || added.name
             
-            process.send({ 
-                type: 'chat_event', 
-                username: 'SYSTEM', 
-                message: `EVENT: You picked up ${itemName} x${diff}${fromStr}` 
-            })
+            sendGameEvent('pickup', `EVENT: You picked up ${itemName} x${diff}${fromStr}`)
         } else {
             // Fallback if inventory didn't update yet or full
-            process.send({ 
-                type: 'chat_event', 
-                username: 'SYSTEM', 
-                message: `EVENT: You picked up an item${fromStr}` 
-            })
+            sendGameEvent('pickup', `EVENT: You picked up an item${fromStr}`)
         }
     }, 150)
 })
 
-bot.on('kicked', (reason) => process.send({ type: 'log', text: `Kicked: ${reason}`, logType: 'error' }))
-bot.on('error', (err) => process.send({ type: 'log', text: `Error: ${err.message}`, logType: 'error' }))
+// --- GAME EVENTS ---
+// Typed events for main.js; it decides per type whether to wake the LLM and how often
+const LOW_HEALTH_THRESHOLD = 6
+const LOW_HEALTH_RECOVERED = 12
+const HOSTILE_ALERT_RADIUS = 8
+const JOIN_EVENTS_GRACE_MS = 5000
+let lowHealthAlerted = false
+let starvingAlerted = false
+let awaitingRespawn = false
+let wasNight = null
+let spawnedAt = 0
+const alertedHostiles = new Set()
+
+function sendGameEvent(event, message, extra = {}) {
+    process.send({ type: 'game_event', event, message, ...extra })
+    process.send({ type: 'log', text: `[Event] ${message}`, logType: event === 'death' || event === 'attacked' ? 'error' : 'info' })
+}
+
+function roundedPosition() {
+    const p = bot.entity.position
+    return { x: Math.round(p.x), y: Math.round(p.y), z: Math.round(p.z) }
+}
+
+bot.on('death', () => {
+    const position = roundedPosition()
+    awaitingRespawn = true
+    sendGameEvent('death', `EVENT: You DIED at [${position.x}, ${position.y}, ${position.z}].`, { position, dimension: bot.game.dimension })
+})
+
+bot.on('spawn', () => {
+    spawnedAt = Date.now()
+    lowHealthAlerted = false
+    starvingAlerted = false
+    alertedHostiles.clear()
+    if (!awaitingRespawn) return
+    awaitingRespawn = false
+    const p = roundedPosition()
+    sendGameEvent('respawn', `EVENT: You respawned at [${p.x}, ${p.y}, ${p.z}].`)
+})
+
+bot.on('health', () => {
+    if (bot.health <= 0) return
+    if (!lowHealthAlerted && bot.health <= LOW_HEALTH_THRESHOLD) {
+        lowHealthAlerted = true
+        sendGameEvent('low_health', `WARNING: Low health (${Math.round(bot.health)}/20).`)
+    } else if (lowHealthAlerted && bot.health >= LOW_HEALTH_RECOVERED) {
+        lowHealthAlerted = false
+    }
+    if (!starvingAlerted && bot.food === 0) {
+        starvingAlerted = true
+        sendGameEvent('starvation', 'WARNING: You are STARVING (food 0/20) and losing health. Eat something.')
+    } else if (starvingAlerted && bot.food > 0) {
+        starvingAlerted = false
+    }
+})
+
+bot.on('time', () => {
+    const night = bot.time.timeOfDay >= 13000 && bot.time.timeOfDay < 23000
+    if (wasNight === false && night) sendGameEvent('nightfall', 'EVENT: Night is falling; hostile mobs will spawn.')
+    wasNight = night
+})
+
+bot.on('playerJoined', (player) => {
+    // The tab list is replayed right after spawning; only real joins count
+    if (player.username === bot.username || Date.now() - spawnedAt < JOIN_EVENTS_GRACE_MS) return
+    sendGameEvent('player_joined', `EVENT: Player ${player.username} joined the game.`)
+})
+
+bot.on('playerLeft', (player) => {
+    if (player.username === bot.username) return
+    sendGameEvent('player_left', `EVENT: Player ${player.username} left the game.`)
+})
+
+setInterval(() => {
+    if (!bot.entity) return
+    const near = Object.values(bot.entities).filter(e => isHostileMob(e) &&
+        e.position.distanceTo(bot.entity.position) < HOSTILE_ALERT_RADIUS)
+    const ids = new Set(near.map(e => e.id))
+    for (const id of alertedHostiles) if (!ids.has(id)) alertedHostiles.delete(id)
+    const fresh = near.filter(e => !alertedHostiles.has(e.id))
+    if (fresh.length === 0) return
+    fresh.forEach(e => alertedHostiles.add(e.id))
+    const list = fresh.map(e => `${e.name} ${e.position.distanceTo(bot.entity.position).toFixed(1)}m`).join(', ')
+    sendGameEvent('hostile_near', `WARNING: Hostile mobs approaching: ${list}.`)
+}, 1000)
+
+// --- DISCONNECTS ---
+// main.js decides whether to reconnect based on the category reported here
+let disconnectReported = false
+
+function chatComponentToText(component) {
+    if (component === null || component === undefined) return ''
+    if (typeof component === 'string') {
+        try { return chatComponentToText(JSON.parse(component)) } catch (e) { return component }
+    }
+    if (Array.isArray(component)) return component.map(chatComponentToText).join('')
+    if (typeof component === 'object') {
+        let text = component.text || component.translate || ''
+        if (Array.isArray(component.with)) text += ' ' + component.with.map(chatComponentToText).join(' ')
+        if (Array.isArray(component.extra)) text += component.extra.map(chatComponentToText).join('')
+        return text
+    }
+    return String(component)
+}
+
+function classifyDisconnect(text) {
+    if (/does the account own minecraft|failed to (obtain|get|fetch) (profile|xsts|xbox|minecraft)|invalid (session|credentials)|\bmsa\b.*(error|fail)/i.test(text)) return 'auth'
+    if (/white-?list/i.test(text)) return 'whitelist'
+    if (/\bbann?ed\b|\bban\b/i.test(text)) return 'banned'
+    if (/throttl|wait before|too (fast|many)|reconnecting too/i.test(text)) return 'throttled'
+    if (/outdated (client|server)|incompatible|unsupported (protocol|version)|multiplayer\.disconnect\.(outdated|incompatible)/i.test(text)) return 'version'
+    if (/ECONNREFUSED|ENOTFOUND|EHOSTUNREACH|ETIMEDOUT/i.test(text)) return 'unreachable'
+    return 'disconnected'
+}
+
+function reportDisconnect(text) {
+    if (disconnectReported) return
+    disconnectReported = true
+    const reason = String(text || 'connection lost').trim()
+    process.send({ type: 'disconnect', reason, category: classifyDisconnect(reason) })
+}
+
+bot.on('kicked', (reason) => {
+    const text = chatComponentToText(reason)
+    process.send({ type: 'log', text: `Kicked: ${text}`, logType: 'error' })
+    reportDisconnect(text)
+})
+bot.on('error', (err) => {
+    process.send({ type: 'log', text: `Error: ${err.message}`, logType: 'error' })
+    if (!bot.entity) reportDisconnect(err.code || err.message)
+})
+bot.on('end', (reason) => {
+    reportDisconnect(reason)
+    // Intervals keep the process alive, so exit explicitly and let main.js handle reconnects
+    setTimeout(() => process.exit(0), 200)
+})
+
+// --- MANUAL CAPTURE (keyboard & mouse) ---
+const MANUAL_REACH = 4.5
+// Block face index (0..5) from blockAtCursor to the placement direction
+const FACE_VECTORS = [new Vec3(0, -1, 0), new Vec3(0, 1, 0), new Vec3(0, 0, -1), new Vec3(0, 0, 1), new Vec3(-1, 0, 0), new Vec3(1, 0, 0)]
+let manualItemActive = false
+
+// Left click: hit the entity under the crosshair, otherwise dig the block until released
+function manualPrimary(pressed) {
+    if (!pressed) {
+        if (bot.targetDigBlock) bot.stopDigging()
+        return
+    }
+    const entity = bot.entityAtCursor(MANUAL_REACH)
+    if (entity) return bot.attack(entity)
+    const block = bot.blockAtCursor(MANUAL_REACH)
+    if (!block || !bot.canDigBlock(block)) return bot.swingArm()
+    bot.dig(block, 'ignore').catch(() => {})
+}
+
+// Right click: interact with an entity, place the held block, use the block, or use the held item
+function manualSecondary(pressed) {
+    if (!pressed) {
+        if (manualItemActive) bot.deactivateItem()
+        manualItemActive = false
+        return
+    }
+    const entity = bot.entityAtCursor(MANUAL_REACH)
+    if (entity) return bot.activateEntity(entity).catch(() => {})
+    const block = bot.blockAtCursor(MANUAL_REACH)
+    const held = bot.heldItem
+    if (block && held && mcData.blocksByName[held.name] && FACE_VECTORS[block.face]) {
+        return bot.placeBlock(block, FACE_VECTORS[block.face]).catch((e) => {
+            process.send({ type: 'log', text: `Place failed: ${e.message}`, logType: 'error' })
+        })
+    }
+    if (block) return bot.activateBlock(block).catch(() => {})
+    if (held) {
+        bot.activateItem()
+        manualItemActive = true
+    }
+}
+
+// --- WORLD VIEW (prismarine-viewer) ---
+const VIEWER_DISTANCE = 6
+const VIEWER_PORT_SCAN = 10
+let viewer = null
+let viewerTargetKey = ''
+
+function isPortFree(port) {
+    return new Promise((resolve) => {
+        const server = net.createServer()
+        server.once('error', () => resolve(false))
+        server.listen(port, () => server.close(() => resolve(true)))
+    })
+}
+
+// A closed viewer can hold its port for a moment, so restarts take the next free one
+async function findViewerPort(start) {
+    for (let port = start; port < start + VIEWER_PORT_SCAN; port++) {
+        if (await isPortFree(port)) return port
+    }
+    throw new Error(`no free port in ${start}-${start + VIEWER_PORT_SCAN - 1}`)
+}
+
+function stopViewer() {
+    if (!viewer) return
+    try { bot.viewer.close() } catch (e) {}
+    viewer = null
+    viewerTargetKey = ''
+    process.send({ type: 'viewer_state', data: { running: false } })
+}
+
+async function startViewer(options = {}) {
+    stopViewer()
+    if (!bot.entity) throw new Error('bot is not spawned')
+    // Loaded on demand: the viewer pulls in express, socket.io and native canvas
+    const mineflayerViewer = require('prismarine-viewer').mineflayer
+    const port = await findViewerPort(Number(options.port) || args.viewerPort || 3007)
+    const firstPerson = !!options.firstPerson
+    mineflayerViewer(bot, { port, firstPerson, viewDistance: VIEWER_DISTANCE })
+    viewer = { port, firstPerson }
+    bot.viewer.on('blockClicked', (block, face, button) => {
+        if (button !== 2) return
+        const p = block.position.offset(0, 1, 0)
+        process.send({ type: 'viewer_goto', x: p.x, y: p.y, z: p.z })
+    })
+    drawGoal(bot.pathfinder.goal)
+    process.send({ type: 'viewer_state', data: { running: true, port, firstPerson } })
+    process.send({ type: 'log', text: `World view on http://localhost:${port} (${firstPerson ? '1st' : '3rd'} person)`, logType: 'info' })
+}
+
+function drawGoal(goal) {
+    if (!viewer) return
+    if (!goal) return bot.viewer.erase('goal')
+    const pos = goal.entity ? goal.entity.position.floored() : (Number.isFinite(goal.x) && Number.isFinite(goal.z) ? new Vec3(goal.x, Number.isFinite(goal.y) ? goal.y : bot.entity.position.y, goal.z).floored() : null)
+    if (!pos) return bot.viewer.erase('goal')
+    bot.viewer.drawBoxGrid('goal', pos, pos.offset(1, 1, 1), 'lime')
+}
+
+function drawAttackTarget() {
+    if (!viewer) return
+    const target = bot.pvp.target
+    if (!target || !target.isValid) {
+        if (viewerTargetKey) bot.viewer.erase('target')
+        viewerTargetKey = ''
+        return
+    }
+    const p = target.position
+    const key = `${target.id}:${p.x.toFixed(1)},${p.y.toFixed(1)},${p.z.toFixed(1)}`
+    if (key === viewerTargetKey) return
+    viewerTargetKey = key
+    const half = (target.width || 0.6) / 2
+    bot.viewer.drawBoxGrid('target', p.offset(-half, 0, -half), p.offset(half, target.height || 1.8, half), 'red')
+}
+
+bot.on('path_update', (r) => {
+    if (!viewer) return
+    const path = [bot.entity.position.offset(0, 0.5, 0), ...r.path.map(node => ({ x: node.x, y: node.y + 0.5, z: node.z }))]
+    bot.viewer.drawLine('path', path, 0xff00ff)
+})
+bot.on('goal_updated', (goal) => drawGoal(goal))
+bot.on('path_reset', () => { if (viewer) bot.viewer.erase('path') })
+bot.on('goal_reached', () => {
+    if (!viewer) return
+    bot.viewer.erase('path')
+    bot.viewer.erase('goal')
+})
+setInterval(drawAttackTarget, 250)
 
 // IPC Commands
 process.on('message', async (msg) => {
@@ -182,150 +1972,363 @@ process.on('message', async (msg) => {
       const item = bot.inventory.slots[slot]
       if (!item) return
       try {
-          await withInventoryLock(async () => {
-              if (Number.isInteger(count) && count > 0 && count < item.count) {
-                  await bot.toss(item.type, null, count)
-              } else {
-                  await bot.tossStack(item)
-              }
-          })
+          await withInventoryLock(() => tossItem(item, count))
       } catch (e) {
           process.send({ type: 'log', text: `Inventory drop error: ${e.message}`, logType: 'error' })
       }
   }
 
+  else if (msg.type === 'manual_look') {
+      if (!bot.entity) return
+      const yaw = bot.entity.yaw - Number(msg.dyaw || 0)
+      const pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, bot.entity.pitch - Number(msg.dpitch || 0)))
+      bot.look(yaw, pitch, true).catch(() => {})
+  }
+
   else if (msg.type === 'manual_control') {
       const { action, state } = msg
-      process.send({ type: 'log', text: `🕹️ MANUAL: ${action.toUpperCase()} ${state ? 'ON' : 'OFF'}`, logType: 'action' })
+      process.send({ type: 'log', text: `🕹️ MANUAL: ${action.toUpperCase()}${action === 'hotbar' ? ` ${msg.slot + 1}` : ` ${state ? 'ON' : 'OFF'}`}`, logType: 'action' })
       
       if (state === true) bot.pathfinder.setGoal(null)
-      if (['forward', 'back', 'left', 'right', 'jump', 'sprint'].includes(action)) bot.setControlState(action, state)
+      if (['forward', 'back', 'left', 'right', 'jump', 'sprint', 'sneak'].includes(action)) bot.setControlState(action, state)
+      else if (action === 'primary') manualPrimary(state)
+      else if (action === 'secondary') manualSecondary(state)
+      else if (action === 'hotbar' && Number.isInteger(msg.slot) && msg.slot >= 0 && msg.slot <= 8) bot.setQuickBarSlot(msg.slot)
       else if (action === 'attack' && state === true) {
           const entity = bot.nearestEntity(e => e.type === 'mob' || e.type === 'player')
           if (entity) { bot.lookAt(entity.position.offset(0, entity.height, 0)); bot.attack(entity) }
           else bot.swingArm()
       }
-      else if (action === 'stop') { bot.clearControlStates(); bot.pathfinder.setGoal(null); bot.pvp.stop() }
+      else if (action === 'stop') { cancelTasks('manual stop'); bot.clearControlStates(); bot.pathfinder.setGoal(null); bot.pvp.stop() }
   }
   
   else if (msg.type === 'ai_action') {
-      const { action, params } = msg
+      if (String(msg.action || '').toLowerCase() === 'stop') {
+          cancelTasks('STOP')
+          stopAll()
+          return
+      }
+      enqueuePlan([{ action: msg.action, params: msg.params }])
+  }
+
+  else if (msg.type === 'autonomy_config') {
+      applyAutonomyConfig(msg.config)
+  }
+
+  else if (msg.type === 'safety_config') {
+      applySafetyConfig(msg.config)
+  }
+
+  else if (msg.type === 'pickup_config') {
+      applyPickupConfig(msg.config)
+  }
+
+  else if (msg.type === 'player_roles') {
+      knownEnemies = new Set((msg.enemies || []).map(n => String(n).toLowerCase()))
+      trustedPlayers = new Set((msg.trusted || []).map(n => String(n).toLowerCase()))
+  }
+
+  else if (msg.type === 'viewer') {
+      if (msg.action === 'stop') return stopViewer()
       try {
-        const cmd = action.toLowerCase()
-        if (cmd === 'stop') { 
-            process.send({ type: 'log', text: `🛑 STOPPING ALL ACTIONS`, logType: 'action' })
-            bot.pathfinder.setGoal(null); bot.pvp.stop(); bot.clearControlStates() 
-        }
-        else if (cmd === 'follow' || cmd === 'move_to_player') {
-            const target = bot.players[params.target]?.entity
-            if (target) {
-                process.send({ type: 'log', text: `🏃 FOLLOWING ${params.target}`, logType: 'action' })
-                bot.pathfinder.setGoal(new goals.GoalFollow(target, 2), true)
-            }
-        }
-        else if (cmd === 'goto' || cmd === 'move_to' || cmd === 'run') {
-            process.send({ type: 'log', text: `🚶 MOVING TO [${params.x}, ${params.y}, ${params.z}]`, logType: 'action' })
-            bot.pathfinder.setGoal(new goals.GoalNear(params.x, params.y, params.z, 1))
-        }
-        else if (cmd === 'attack' || cmd === 'fight') {
-            const target = (params && params.target) ? bot.players[params.target]?.entity : bot.nearestEntity(e => e.type === 'mob' || e.type === 'player')
-            if (target) bot.pvp.attack(target)
-        }
-        else if (cmd === 'lookat' || cmd === 'look_at') {
-            const target = bot.players[params.target]?.entity || bot.nearestEntity(e => e.type === 'player')
-            if (target) {
-                process.send({ type: 'log', text: `👀 LOOKING AT ${params.target || 'entity'}`, logType: 'action' })
-                bot.lookAt(target.position.offset(0, target.height, 0))
-            }
-        }
-        else if (cmd === 'equip' || cmd === 'hold') {
-            if (!params || !params.item) return
-            const search = String(params.item).toLowerCase().replace(/_/g, ' ')
-            const item = bot.inventory.items().find(i => i.name.toLowerCase().replace(/_/g, ' ').includes(search) || i.displayName.toLowerCase().includes(search))
-            if (item) {
-                await bot.equip(item, 'hand')
-                process.send({ type: 'log', text: `Equipped ${item.name}`, logType: 'info' })
-            }
-        }
-        else if (cmd === 'drop' || cmd === 'give' || cmd === 'toss') {
-            if (!params || !params.item) return
-            const search = String(params.item).toLowerCase().replace(/_/g, ' ')
-            const item = bot.inventory.items().find(i => i.name.toLowerCase().replace(/_/g, ' ').includes(search) || i.displayName.toLowerCase().includes(search))
-            if (item) {
-                const targetName = params.target ? String(params.target) : ''
-                const count = Number(params.count)
-                ignorePickup = true
-                try {
-                    if (targetName) {
-                        process.send({ type: 'log', text: `🎁 MOVING TO ${targetName} TO DROP ITEM`, logType: 'action' })
-                        await approachTarget(targetName, 2.2, 12000)
-                    }
-                    await bot.look(bot.entity.yaw, 0)
-                    await bot.equip(item, 'hand')
-                    if (Number.isInteger(count) && count > 0 && count < item.count) {
-                        await bot.toss(item.type, null, count)
-                    } else {
-                        await bot.tossStack(item)
-                    }
-                } catch (e) {
-                    process.send({ type: 'log', text: `Drop error: ${e.message}`, logType: 'error' })
-                } finally {
-                    setTimeout(() => { ignorePickup = false }, 3000)
-                }
-            }
-        }
-      } catch (e) { process.send({ type: 'log', text: `AI Action Error: ${e.message}`, logType: 'error' }) }
+          await startViewer(msg)
+      } catch (e) {
+          viewer = null
+          process.send({ type: 'viewer_state', data: { running: false, error: e.message } })
+          process.send({ type: 'log', text: `World view unavailable: ${e.message}`, logType: 'error' })
+      }
+  }
+
+  else if (msg.type === 'ai_plan') {
+      if (!Array.isArray(msg.steps) || msg.steps.length === 0) return
+      enqueuePlan(msg.steps)
   }
 })
 
-// Auto-Pickup Loop
-setInterval(() => {
-    if (bot.pathfinder.isMoving() || ignorePickup) return
-    const drop = bot.nearestEntity(e => (e.name === 'item' || e.type === 'object') && e.position.distanceTo(bot.entity.position) < 4)
-    if (drop) bot.pathfinder.setGoal(new goals.GoalFollow(drop, 0), true)
-}, 1000)
+// --- AUTO-PICKUP ---
+// Low-priority behaviour: only runs when nothing else owns the pathfinder and leaves other players' drops alone
+const PICKUP_INTERVAL_MS = 1000
+const PICKUP_TIMEOUT_MS = 5000
+const PICKUP_THROWER_RADIUS = 3
+// Items thrown by the bot itself or by untrusted players stay untouched for this long
+const PICKUP_OWNER_GRACE_MS = 30000
+let pickup = { enabled: true, radius: 4, whitelist: [], blacklist: [] }
+// Trusted players from memory.json and teammate bots; main.js keeps the list current
+let trustedPlayers = new Set()
+// Item entity id -> who most likely threw it
+const itemThrowers = new Map()
+const unreachableItems = new Set()
+// Loot, harvests and dug blocks also spawn next to the bot: only its own tosses are attributed to it
+const OWN_DROP_WINDOW_MS = 2000
+let ownDropUntil = 0
+
+async function tossItem(item, count) {
+    ownDropUntil = Date.now() + OWN_DROP_WINDOW_MS
+    if (Number.isInteger(count) && count > 0 && count < item.count) await bot.toss(item.type, null, count)
+    else await bot.tossStack(item)
+    ownDropUntil = Date.now() + OWN_DROP_WINDOW_MS
+}
+let pickupBusy = false
+
+function sendPickupState() {
+    process.send({ type: 'pickup_state', data: pickup })
+}
+
+function applyPickupConfig(config) {
+    if (!config || typeof config !== 'object') return
+    const before = JSON.stringify(pickup)
+    if (typeof config.enabled === 'boolean') pickup.enabled = config.enabled
+    const radius = Number(config.radius)
+    if (config.radius !== undefined && config.radius !== '' && Number.isFinite(radius)) pickup.radius = Math.min(16, Math.max(1, radius))
+    for (const list of ['whitelist', 'blacklist']) {
+        if (Array.isArray(config[list])) pickup[list] = config[list].map(normalizeName).filter(Boolean)
+    }
+    if (JSON.stringify(pickup) === before) return
+    const filters = [pickup.whitelist.length ? `only ${pickup.whitelist.join(', ')}` : '', pickup.blacklist.length ? `never ${pickup.blacklist.join(', ')}` : '']
+    process.send({ type: 'log', text: `🧲 Auto-pickup ${pickup.enabled ? `ON (radius ${pickup.radius})` : 'OFF'}${filters.filter(Boolean).map(f => `, ${f}`).join('')}`, logType: 'action' })
+    sendPickupState()
+}
+
+bot.on('entitySpawn', (entity) => {
+    if (entity.name !== 'item' || !bot.entity) return
+    const thrower = Object.values(bot.players)
+        .map(p => p.entity)
+        .filter(e => e && (e !== bot.entity || Date.now() < ownDropUntil))
+        .filter(e => e.position.distanceTo(entity.position) < PICKUP_THROWER_RADIUS)
+        .sort((a, b) => a.position.distanceTo(entity.position) - b.position.distanceTo(entity.position))[0]
+    if (thrower) itemThrowers.set(entity.id, { username: thrower.username, at: Date.now() })
+})
+
+bot.on('entityGone', (entity) => {
+    itemThrowers.delete(entity.id)
+    unreachableItems.delete(entity.id)
+})
+
+function isPickupAllowed(entity) {
+    const thrown = itemThrowers.get(entity.id)
+    if (thrown && Date.now() - thrown.at < PICKUP_OWNER_GRACE_MS) {
+        if (thrown.username === bot.username || !trustedPlayers.has(thrown.username.toLowerCase())) return false
+    }
+    const item = entity.getDroppedItem()
+    if (!item) return false
+    const matches = (list) => list.some(name => item.name.includes(name))
+    if (pickup.whitelist.length > 0 && !matches(pickup.whitelist)) return false
+    return !matches(pickup.blacklist)
+}
+
+// Tasks, autonomy, combat and fleeing all outrank pickup
+function isBusyForPickup() {
+    return !!currentTask || taskQueue.length > 0 || autonomyBusy || !!fleeingSince || !!bot.pvp.target
+}
+
+async function pickupTick() {
+    if (!pickup.enabled || pickupBusy || !bot.entity || isBusyForPickup() || bot.pathfinder.goal) return
+    const drop = bot.nearestEntity(e => e.name === 'item' && !unreachableItems.has(e.id) &&
+        e.position.distanceTo(bot.entity.position) < pickup.radius && isPickupAllowed(e))
+    if (!drop) return
+    pickupBusy = true
+    const goal = new goals.GoalFollow(drop, 0)
+    try {
+        bot.pathfinder.setGoal(goal, true)
+        await waitForCondition(() => !drop.isValid || isBusyForPickup() || bot.pathfinder.goal !== goal, PICKUP_TIMEOUT_MS, 100)
+    } catch (e) {
+        // Out of reach or inventory full
+        unreachableItems.add(drop.id)
+    } finally {
+        // Leave the pathfinder alone if something else took it over meanwhile
+        if (bot.pathfinder.goal === goal) bot.pathfinder.setGoal(null)
+        pickupBusy = false
+    }
+}
+
+setInterval(() => { pickupTick().catch(() => {}) }, PICKUP_INTERVAL_MS)
+applyPickupConfig(args.pickup || {})
 
 // --- SENSORY SYSTEM (The Eyes) ---
+const SENSE_RADIUS = 15
+const NOTABLE_BLOCK_RADIUS = 16
+const NOTABLE_BLOCK_COUNT = 5
+const LOOK_REACH = 16
+const NOTABLE_BLOCKS = {
+    ore: name => name.endsWith('_ore') || name === 'ancient_debris',
+    chest: name => CONTAINER_BLOCKS.includes(name),
+    bed: name => name.endsWith('_bed'),
+    lava: name => name === 'lava',
+    water: name => name === 'water'
+}
+// Armour points per piece; index = helmet, chestplate, leggings, boots
+const ARMOR_POINTS = {
+    leather: [1, 3, 2, 1], chainmail: [2, 5, 4, 1], iron: [2, 6, 5, 2], golden: [2, 5, 3, 1],
+    diamond: [3, 8, 6, 3], netherite: [3, 8, 6, 3], turtle: [2, 0, 0, 0]
+}
+const ARMOR_SLOTS = [5, 6, 7, 8]
+let notableBlockIds = null
+
+function getNotableBlockIds() {
+    if (notableBlockIds) return notableBlockIds
+    notableBlockIds = {}
+    for (const [kind, test] of Object.entries(NOTABLE_BLOCKS)) {
+        notableBlockIds[kind] = mcData.blocksArray.filter(b => test(b.name)).map(b => b.id)
+    }
+    return notableBlockIds
+}
+
+function distanceTo(pos) {
+    return +pos.distanceTo(bot.entity.position).toFixed(1)
+}
+
+function senseArmor() {
+    const pieces = ARMOR_SLOTS.map(slot => bot.inventory.slots[slot]).filter(Boolean)
+    const points = ARMOR_SLOTS.reduce((sum, slot, index) => {
+        const item = bot.inventory.slots[slot]
+        const material = item ? item.name.split('_')[0] : null
+        return sum + ((ARMOR_POINTS[material] || [])[index] || 0)
+    }, 0)
+    return { points, pieces: pieces.map(i => i.name) }
+}
+
+function senseNotableBlocks() {
+    const found = {}
+    for (const [kind, ids] of Object.entries(getNotableBlockIds())) {
+        if (ids.length === 0) continue
+        const positions = bot.findBlocks({ matching: ids, maxDistance: NOTABLE_BLOCK_RADIUS, count: NOTABLE_BLOCK_COUNT })
+        if (positions.length === 0) continue
+        found[kind] = positions.map(pos => {
+            const block = bot.blockAt(pos)
+            return { name: block ? block.name : kind, x: pos.x, y: pos.y, z: pos.z, distance: distanceTo(pos) }
+        })
+    }
+    return found
+}
+
+function senseLookingAt() {
+    const entity = bot.entityAtCursor(LOOK_REACH)
+    if (entity) return { kind: 'entity', name: entity.username || entity.name || 'unknown', distance: distanceTo(entity.position) }
+    const block = bot.blockAtCursor(LOOK_REACH)
+    if (block) return { kind: 'block', name: block.name, x: block.position.x, y: block.position.y, z: block.position.z, distance: distanceTo(block.position) }
+    return null
+}
+
 setInterval(() => {
-    if (!bot.entity) return
+    if (!bot.entity || !mcData) return
 
     // 1. Where am I?
-    const block = bot.blockAt(bot.entity.position.offset(0, -1, 0))
+    const pos = bot.entity.position
+    const block = bot.blockAt(pos.offset(0, -1, 0))
+    const head = bot.blockAt(pos.offset(0, 1, 0))
     const floor = block ? block.name : 'air'
     const time = bot.time.timeOfDay < 13000 ? 'Day' : 'Night'
-    
-    // 2. Who is near? (Grouped)
-    const entities = {}
-    const nearby = bot.nearestEntity(e => {
-        if (e === bot.entity) return false
-        if (e.type === 'object' || e.type === 'mob' || e.type === 'player') {
-            return e.position.distanceTo(bot.entity.position) < 15
-        }
-        return false
-    })
-    
-    // Scan all entities manually since nearestEntity returns only one
-    // We need a manual loop for full scan
-    for (const id in bot.entities) {
-        const e = bot.entities[id]
+    const weather = bot.thunderState > 0 ? 'thunder' : (bot.isRaining ? 'rain' : 'clear')
+    const biome = block && block.biome ? block.biome.name : 'unknown'
+    const light = head ? { block: head.light, sky: head.skyLight } : null
+
+    // 2. Who and what is near? (creatures grouped, dropped items resolved to names)
+    const creatures = {}
+    const items = {}
+    const hostiles = []
+    for (const e of Object.values(bot.entities)) {
         if (e === bot.entity) continue
-        if (e.position.distanceTo(bot.entity.position) > 15) continue
-        
-        let name = e.username || e.displayName || e.name || 'unknown'
-        if (e.name === 'item' || e.type === 'object') {
-            // Try to resolve item name
-            name = 'Item' // generic if metadata parsing fails, but good enough
+        const distance = distanceTo(e.position)
+        if (distance > SENSE_RADIUS) continue
+        if (e.name === 'item') {
+            const dropped = e.getDroppedItem && e.getDroppedItem()
+            const name = dropped ? dropped.name : 'unknown_item'
+            if (!items[name]) items[name] = { name, count: 0, distance }
+            items[name].count += dropped ? dropped.count : 1
+            items[name].distance = Math.min(items[name].distance, distance)
+            continue
         }
-        
-        if (!entities[name]) entities[name] = 0
-        entities[name]++
+        if (!isCreature(e)) continue
+        const name = e.username || e.name || 'unknown'
+        creatures[name] = (creatures[name] || 0) + 1
+        if (isHostileMob(e)) hostiles.push({ name, distance })
     }
-    
-    const entityList = Object.entries(entities).map(([k, v]) => `${k} x${v}`).join(', ') || 'None'
+    hostiles.sort((a, b) => a.distance - b.distance)
+    const entityList = Object.entries(creatures).map(([k, v]) => `${k} x${v}`).join(', ') || 'None'
 
     // 3. Send to Brain
     process.send({ 
         type: 'env_update', 
-        data: { floor, time, nearby: entityList } 
+        data: {
+            floor, time, nearby: entityList, position: pos.floored(),
+            health: bot.health, food: bot.food, armor: senseArmor(),
+            biome, dimension: bot.game.dimension, weather, light,
+            items: Object.values(items).sort((a, b) => a.distance - b.distance),
+            notable: senseNotableBlocks(),
+            hostiles,
+            lookingAt: senseLookingAt()
+        } 
     })
 }, 4000)
+
+// --- HUD & MINIMAP ---
+const MINIMAP_RADIUS = 16
+const MINIMAP_SCAN_UP = 6
+const MINIMAP_SCAN_DOWN = 24
+const HUD_INTERVAL_MS = 1000
+// First matching keyword wins; order puts specific names before generic ones
+const MINIMAP_COLORS = [
+    ['water', '#3f76e4'], ['lava', '#ff6a00'], ['ice', '#a0c4ff'], ['snow', '#f5f5f5'],
+    ['leaves', '#3e8e2f'], ['grass_block', '#7cbd6b'], ['moss', '#5a7a2d'], ['sand', '#dbd3a0'],
+    ['farmland', '#6b4a2b'], ['dirt', '#866043'], ['path', '#9b8650'], ['log', '#6b5133'], ['wood', '#6b5133'],
+    ['planks', '#a0824d'], ['gravel', '#8a8580'], ['clay', '#a4a8b8'], ['netherrack', '#7a2a2a'],
+    ['nylium', '#6a1f3a'], ['soul', '#4f3e31'], ['end_stone', '#dbdea0'], ['obsidian', '#1b1428'],
+    ['ore', '#9a9a9a'], ['deepslate', '#4d4d52'], ['stone', '#7d7d7d'], ['cobble', '#6f6f6f']
+]
+
+function minimapColor(name) {
+    const match = MINIMAP_COLORS.find(([key]) => name.includes(key))
+    return match ? match[1] : '#8f8f8f'
+}
+
+// Top-down colour of the highest solid block in each column near the bot's height
+function sampleMinimap() {
+    const origin = bot.entity.position.floored()
+    const grid = []
+    for (let dz = -MINIMAP_RADIUS; dz <= MINIMAP_RADIUS; dz++) {
+        for (let dx = -MINIMAP_RADIUS; dx <= MINIMAP_RADIUS; dx++) {
+            let color = null
+            for (let dy = MINIMAP_SCAN_UP; dy >= -MINIMAP_SCAN_DOWN; dy--) {
+                const block = bot.blockAt(origin.offset(dx, dy, dz))
+                if (!block) break
+                if (block.name === 'air' || block.name === 'cave_air' || block.name === 'void_air') continue
+                color = minimapColor(block.name)
+                break
+            }
+            grid.push(color)
+        }
+    }
+    return { radius: MINIMAP_RADIUS, colors: grid }
+}
+
+function describeMinimapEntities() {
+    const me = bot.entity.position
+    return Object.values(bot.entities)
+        .filter(e => e !== bot.entity && isCreature(e))
+        .filter(e => Math.abs(e.position.x - me.x) <= MINIMAP_RADIUS && Math.abs(e.position.z - me.z) <= MINIMAP_RADIUS)
+        .map(e => ({
+            kind: e.type === 'player' ? 'player' : (isHostileMob(e) ? 'hostile' : 'mob'),
+            name: e.username || e.name || 'unknown',
+            dx: +(e.position.x - me.x).toFixed(1),
+            dz: +(e.position.z - me.z).toFixed(1)
+        }))
+}
+
+setInterval(() => {
+    if (!bot.entity || !mcData) return
+    const pos = bot.entity.position
+    process.send({
+        type: 'hud_update',
+        data: {
+            position: { x: +pos.x.toFixed(1), y: +pos.y.toFixed(1), z: +pos.z.toFixed(1) },
+            // mineflayer yaw 0 faces north (-Z) and grows counter-clockwise
+            yaw: bot.entity.yaw,
+            health: bot.health,
+            food: bot.food,
+            xp: { level: bot.experience.level, progress: bot.experience.progress },
+            dimension: bot.game.dimension,
+            minimap: sampleMinimap(),
+            entities: describeMinimapEntities()
+        }
+    })
+}, HUD_INTERVAL_MS)
@@ -13,7 +13,8 @@ const botOptions = {
   port: 25568,       
   username: 'Bot_AI',
   version: '1.21.4',
-  auth: 'offline'
+  // BOT_AUTH=microsoft logs in with a device code (tokens cached by prismarine-auth)
+  auth: process.env.BOT_AUTH === 'microsoft' ? 'microsoft' : 'offline'
 }
 
 console.log(`ЗАПУСК ИСКУССТВЕННОГО ИНТЕЛЛЕКТА...`)
@@ -2,20 +2,51 @@ const { app, BrowserWindow, ipcMain } = require('electron')
 const path = require('path')
 const { fork, spawn } = require('child_process')
 const fs = require('fs')
+const net = require('net')
 const yaml = require('js-yaml')
-const ollama = require('ollama').default
+const { Ollama } = require('ollama')
+const mc = require('minecraft-protocol')
+const minecraftData = require('minecraft-data')
+const { testedVersions, latestSupportedVersion } = require('mineflayer')
 
 let mainWindow
-let botProcess = null
 let proxyProcess = null
-let chatHistory = [] 
-let lastConfig = {}
-let startTimer = null
-let envContext = "Environment: Scanning..."
-let lastChatUser = ""
-let lastChatMention = ""
-let lastSystemAiAt = 0
-const SYSTEM_AI_COOLDOWN_MS = 8000
+let proxyState = 'offline'
+const DEFAULT_PROXY_PATH = '../ViaProxy'
+const DEFAULT_PROXY_PORT = 25568
+let proxyBindPort = DEFAULT_PROXY_PORT
+const PROXY_READY_TIMEOUT_MS = 60000
+const PROXY_PROBE_INTERVAL_MS = 500
+const PING_TIMEOUT_MS = 5000
+// Each bot gets its own block of ports for the world viewer
+const VIEWER_BASE_PORT = 3007
+const VIEWER_PORT_STRIDE = 10
+// Bot sessions keyed by lowercase username; control IPC targets the active one
+const bots = new Map()
+let activeBotId = null
+const RECONNECT_BASE_DELAY_MS = 5000
+const RECONNECT_MAX_DELAY_MS = 300000
+const RECONNECT_THROTTLED_MIN_DELAY_MS = 30000
+// Kick reasons that a retry cannot fix
+const FATAL_DISCONNECTS = new Set(['whitelist', 'banned', 'version', 'auth'])
+// Long-running tasks restored after a respawn or reconnect
+const PERSISTENT_ACTIONS = new Set(['FOLLOW', 'GUARD', 'GUARD_AREA'])
+// Typed game events from the bot: per-type LLM cooldown and whether the event wakes the LLM unless configured otherwise
+const GAME_EVENTS = {
+    death: { cooldownMs: 0, wake: true },
+    respawn: { cooldownMs: 0, wake: false },
+    low_health: { cooldownMs: 30000, wake: true },
+    starvation: { cooldownMs: 60000, wake: true },
+    hostile_near: { cooldownMs: 20000, wake: false },
+    nightfall: { cooldownMs: 0, wake: false },
+    player_joined: { cooldownMs: 15000, wake: true },
+    player_left: { cooldownMs: 15000, wake: false },
+    attacked: { cooldownMs: 8000, wake: true },
+    pickup: { cooldownMs: 8000, wake: true },
+    task_failed: { cooldownMs: 8000, wake: true }
+}
+const DEATH_WAYPOINT = 'last_death'
+const SENSES_TOKEN_BUDGET = 180
 let ttsQueue = Promise.resolve()
 let ttsPending = 0
 let ttsConfig = {
@@ -29,58 +60,746 @@ let ttsConfig = {
 }
 
 const memoryFile = path.join(__dirname, 'memory.json')
-const allowedActions = new Set(['FOLLOW', 'GOTO', 'ATTACK', 'DROP', 'EQUIP', 'LOOKAT', 'STOP'])
+const memoryDir = path.join(__dirname, 'memory')
+const storageFile = path.join(__dirname, 'storage.json')
+const conversationsDir = path.join(__dirname, 'conversations')
+const blueprintsDir = path.join(__dirname, 'blueprints')
+const BLUEPRINT_EXTENSIONS = ['.schem', '.nbt', '.json']
+const CONVERSATION_MAX_TURNS = 30
+const CONVERSATION_KEEP_TURNS = 12
+const CONVERSATION_RESTORE_TURNS = 10
+const targetParam = { type: 'string', description: 'Exact Minecraft username of the player' }
+const actionSchemas = {
+    FOLLOW: {
+        description: 'Follow a player and keep close to them.',
+        properties: { target: targetParam },
+        required: ['target']
+    },
+    GOTO: {
+        description: 'Walk to block coordinates or a named waypoint. If only a target player is given, walk to that player.',
+        properties: {
+            x: { type: 'number' },
+            y: { type: 'number' },
+            z: { type: 'number' },
+            waypoint: { type: 'string', description: 'Name of a saved waypoint, e.g. "base"' },
+            target: targetParam
+        },
+        required: []
+    },
+    SET_WAYPOINT: {
+        description: 'Save a named waypoint. Without coordinates the bot\'s current position is used.',
+        properties: {
+            name: { type: 'string', description: 'Waypoint name, e.g. "base", "mine"' },
+            x: { type: 'number' },
+            y: { type: 'number' },
+            z: { type: 'number' }
+        },
+        required: ['name']
+    },
+    ATTACK: {
+        description: 'Attack a player or the nearest mob.',
+        properties: { target: targetParam },
+        required: ['target']
+    },
+    DROP: {
+        description: 'Walk to a player and drop (give) an item from the inventory.',
+        properties: {
+            item: { type: 'string', description: 'Item name, e.g. "egg" or "iron_ingot"' },
+            target: targetParam,
+            count: { type: 'integer', description: 'How many to drop; omit for the whole stack' }
+        },
+        required: ['item']
+    },
+    EQUIP: {
+        description: 'Hold an item from the inventory in the main hand.',
+        properties: { item: { type: 'string', description: 'Item name' } },
+        required: ['item']
+    },
+    LOOKAT: {
+        description: 'Turn to look at a player.',
+        properties: { target: targetParam },
+        required: ['target']
+    },
+    STOP: {
+        description: 'Stop all movement and combat.',
+        properties: {},
+        required: []
+    },
+    COLLECT: {
+        description: 'Find, mine and pick up blocks of a type nearby (e.g. oak_log, iron_ore).',
+        properties: {
+            block: { type: 'string', description: 'Block name, e.g. "oak_log", "stone", "iron_ore"' },
+            count: { type: 'integer', description: 'How many blocks to collect (default 1, max 64)' }
+        },
+        required: ['block']
+    },
+    MINE: {
+        description: 'Mine the block at exact coordinates and pick up its drop.',
+        properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } },
+        required: ['x', 'y', 'z']
+    },
+    CRAFT: {
+        description: 'Craft an item from inventory ingredients, using a nearby crafting table when needed.',
+        properties: {
+            item: { type: 'string', description: 'Result item name, e.g. "stick", "wooden_pickaxe"' },
+            count: { type: 'integer', description: 'How many items to end up with (default 1)' }
+        },
+        required: ['item']
+    },
+    PLACE: {
+        description: 'Place a block from the inventory at exact coordinates.',
+        properties: {
+            item: { type: 'string', description: 'Block item name, e.g. "cobblestone"' },
+            x: { type: 'number' },
+            y: { type: 'number' },
+            z: { type: 'number' }
+        },
+        required: ['item', 'x', 'y', 'z']
+    },
+    SMELT: {
+        description: 'Smelt or cook an item in a nearby furnace and take the result.',
+        properties: {
+            item: { type: 'string', description: 'Input item, e.g. "raw_iron", "beef"' },
+            fuel: { type: 'string', description: 'Fuel item; omit to use coal/charcoal/planks' },
+            count: { type: 'integer', description: 'How many to smelt (default: whole stack)' }
+        },
+        required: ['item']
+    },
+    DEPOSIT: {
+        description: 'Put items into a chest. Without coordinates uses the nearest chest; without item stores all loot except gear.',
+        properties: {
+            item: { type: 'string', description: 'Item name to store; omit to store all loot' },
+            count: { type: 'integer' },
+            x: { type: 'number' },
+            y: { type: 'number' },
+            z: { type: 'number' }
+        },
+        required: []
+    },
+    WITHDRAW: {
+        description: 'Take items out of storage. Without coordinates the chest is looked up in the storage index.',
+        properties: {
+            item: { type: 'string', description: 'Item name, e.g. "iron_ingot"' },
+            count: { type: 'integer' },
+            x: { type: 'number' },
+            y: { type: 'number' },
+            z: { type: 'number' }
+        },
+        required: ['item']
+    },
+    FARM: {
+        description: 'Harvest mature wheat, carrots, potatoes and beetroot in an area and replant them with seeds from the inventory. With loop it keeps farming every few minutes until stopped.',
+        properties: {
+            x: { type: 'number', description: 'Farm centre; omit to farm around the bot' },
+            y: { type: 'number' },
+            z: { type: 'number' },
+            waypoint: { type: 'string', description: 'Saved waypoint to use as the farm centre' },
+            radius: { type: 'integer', description: 'Half-size of the farm square (default 8, max 32)' },
+            loop: { type: 'boolean', description: 'Keep farming periodically until stopped' },
+            interval: { type: 'integer', description: 'Minutes between loop rounds (default 5)' },
+            breed: { type: 'array', items: { type: 'string' }, description: 'Animals to breed on each loop round, e.g. ["cow", "sheep"]' }
+        },
+        required: []
+    },
+    BREED: {
+        description: 'Feed pairs of adult animals nearby with their breeding food from the inventory.',
+        properties: {
+            animal: { type: 'string', description: 'Animal type, e.g. "cow", "sheep", "pig", "chicken"' },
+            pairs: { type: 'integer', description: 'How many pairs to breed (default: as many as possible)' }
+        },
+        required: ['animal']
+    },
+    BUILD: {
+        description: 'Build a structure layer by layer from a blueprint file in the blueprints folder or from a block list you design. Missing materials are crafted, mined or requested.',
+        properties: {
+            file: { type: 'string', description: 'Blueprint file name (.schem, .nbt or .json)' },
+            blocks: {
+                type: 'array',
+                description: 'Your own blueprint: blocks relative to the origin; x2/y2/z2 fill a cuboid',
+                items: {
+                    type: 'object',
+                    properties: {
+                        block: { type: 'string' },
+                        x: { type: 'integer' }, y: { type: 'integer' }, z: { type: 'integer' },
+                        x2: { type: 'integer' }, y2: { type: 'integer' }, z2: { type: 'integer' }
+                    },
+                    required: ['block', 'x', 'y', 'z']
+                }
+            },
+            x: { type: 'number', description: 'Origin; omit to build where the bot stands' },
+            y: { type: 'number' },
+            z: { type: 'number' },
+            waypoint: { type: 'string', description: 'Saved waypoint to use as the origin' },
+            clear: { type: 'boolean', description: 'Dig out blocks already standing in the footprint; only when the player asked for it' }
+        },
+        required: []
+    },
+    GUARD: {
+        description: 'Bodyguard a player until stopped: stay close, fight hostile mobs and enemy players near them, retreat and eat at low health.',
+        properties: {
+            target: targetParam,
+            radius: { type: 'integer', description: 'Protection radius around the player (default 10)' }
+        },
+        required: ['target']
+    },
+    GUARD_AREA: {
+        description: 'Hold a post until stopped: fight hostile mobs and enemy players inside the radius, then return to the post. Use coordinates or a waypoint name.',
+        properties: {
+            x: { type: 'number' },
+            y: { type: 'number' },
+            z: { type: 'number' },
+            waypoint: { type: 'string', description: 'Saved waypoint to guard instead of coordinates' },
+            radius: { type: 'integer', description: 'Guarded radius around the post (default 8)' }
+        },
+        required: []
+    },
+    AUTONOMY: {
+        description: 'Switch autonomous mode (sleep, dump loot, find food, tend crops, chop trees, fight hostiles) on or off, or toggle a single behaviour.',
+        properties: {
+            enabled: { type: 'boolean' },
+            master: { type: 'string', description: 'Player to stay near while autonomous; empty to roam' },
+            behaviour: { type: 'string', enum: ['sleep', 'dumpLoot', 'findFood', 'farm', 'chopTrees', 'ambientChat', 'combat'] },
+            behaviour_enabled: { type: 'boolean' }
+        },
+        required: []
+    }
+}
+const allowedActions = new Set(Object.keys(actionSchemas))
+
+// Access control: minimum role a requester needs for each action (default guest)
+const ROLE_LEVELS = { blocked: 0, guest: 1, trusted: 2, owner: 3 }
+const ACTION_MIN_ROLE = {
+    DROP: 'trusted',
+    EQUIP: 'trusted',
+    COLLECT: 'trusted',
+    MINE: 'trusted',
+    CRAFT: 'trusted',
+    PLACE: 'trusted',
+    SMELT: 'trusted',
+    DEPOSIT: 'trusted',
+    SET_WAYPOINT: 'trusted',
+    BUILD: 'trusted',
+    FARM: 'trusted',
+    BREED: 'trusted',
+    GUARD: 'trusted',
+    GUARD_AREA: 'trusted',
+    ATTACK: 'owner',
+    WITHDRAW: 'owner',
+    AUTONOMY: 'owner'
+}
+const MEMORY_TOOL_NAME = 'update_memory'
+const PLAN_TOOL_NAME = 'plan'
+const toolUnsupportedModels = new Set()
+
+function getToolNames() {
+    return [...allowedActions].map(a => a.toLowerCase()).join(', ')
+}
+
+function buildToolDefinitions() {
+    const tools = Object.entries(actionSchemas).map(([action, schema]) => ({
+        type: 'function',
+        function: {
+            name: action.toLowerCase(),
+            description: schema.description,
+            parameters: { type: 'object', properties: schema.properties, required: schema.required }
+        }
+    }))
+    tools.push({
+        type: 'function',
+        function: {
+            name: PLAN_TOOL_NAME,
+            description: 'Run several actions one after another (e.g. goto a chest, then drop the item for a player). Each step starts when the previous one is done; a failed step cancels the rest.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    steps: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                action: { type: 'string', enum: [...allowedActions] },
+                                params: { type: 'object' }
+                            },
+                            required: ['action']
+                        }
+                    }
+                },
+                required: ['steps']
+            }
+        }
+    })
+    tools.push({
+        type: 'function',
+        function: {
+            name: MEMORY_TOOL_NAME,
+            description: 'Remember a fact about a player or the world (especially locations/coordinates).',
+            parameters: {
+                type: 'object',
+                properties: {
+                    target: targetParam,
+                    relation: { type: 'string', enum: ['friend', 'neutral', 'enemy'] },
+                    note: { type: 'string', description: 'Fact about the target player' },
+                    global_note: { type: 'string', description: 'Fact about the world or server' },
+                    confidence: { type: 'number', description: '0..1, how sure you are (default 0.7)' },
+                    coords: {
+                        type: 'object',
+                        description: 'Location the fact is about',
+                        properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } }
+                    }
+                },
+                required: []
+            }
+        }
+    })
+    return tools
+}
+
+const MEMORY_VERSION = 2
+const MAX_PLAYER_FACTS = 100
+const MAX_WORLD_FACTS = 300
+const FACT_DUPLICATE_SIMILARITY = 0.8
+const MEMORY_CONTEXT_PLAYER_FACTS = 5
+const MEMORY_CONTEXT_WORLD_FACTS = 6
+
+function emptyMemory() {
+    return { version: MEMORY_VERSION, world_facts: [], players: {}, waypoints: {} }
+}
+
+function createFact(text, { source = 'chat', confidence = 0.7, coords = null } = {}) {
+    const fact = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        text: String(text).trim(),
+        source,
+        confidence: Math.max(0, Math.min(1, Number(confidence) || 0.7)),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    }
+    const position = coords || extractCoords(fact.text)
+    if (position) fact.coords = position
+    return fact
+}
+
+// Three loose numbers ("3 diamonds, 5 iron, 7 gold") are not a position: require x/y/z labels, brackets or a bare comma triple
+const COORD_PATTERNS = [
+    /\bx\s*[:=]?\s*(-?\d+(?:\.\d+)?)[\s,;]+y\s*[:=]?\s*(-?\d+(?:\.\d+)?)[\s,;]+z\s*[:=]?\s*(-?\d+(?:\.\d+)?)/i,
+    /[[(]\s*(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)\s*[\])]/,
+    /(?<![\w.-])(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)(?!\w|\.\d)/
+]
+
+function extractCoords(text) {
+    if (text && typeof text === 'object') {
+        const [x, y, z] = ['x', 'y', 'z'].map(k => Number(text[k]))
+        return [x, y, z].every(Number.isFinite) ? { x, y, z } : null
+    }
+    const str = String(text || '')
+    const match = COORD_PATTERNS.map(re => str.match(re)).find(Boolean)
+    if (!match) return null
+    return { x: Math.round(Number(match[1])), y: Math.round(Number(match[2])), z: Math.round(Number(match[3])) }
+}
+
+function splitLegacyNotes(notes) {
+    return String(notes || '').split(';').map(n => n.trim()).filter(Boolean)
+}
+
+// v1 memory stored one semicolon-joined `notes` string per player and a `server_info` string
+function migrateMemory(data) {
+    if (data.version >= MEMORY_VERSION) return data
+    const migrated = emptyMemory()
+    migrated.waypoints = data.waypoints || {}
+    for (const note of splitLegacyNotes(data.server_info)) {
+        addFact(migrated.world_facts, note, { source: 'migration', confidence: 0.6 }, MAX_WORLD_FACTS)
+    }
+    for (const [name, player] of Object.entries(data.players || {})) {
+        const facts = Array.isArray(player.facts) ? player.facts : []
+        for (const note of splitLegacyNotes(player.notes)) {
+            addFact(facts, note, { source: 'migration', confidence: 0.6 }, MAX_PLAYER_FACTS)
+        }
+        migrated.players[name] = { relation: player.relation || 'neutral', first_seen: player.first_seen || new Date().toISOString(), facts }
+    }
+    return migrated
+}
+
+function normalizePartition(name) {
+    return String(name || '').trim().toLowerCase().replace(/[^a-z0-9._-]+/g, '_')
+}
+
+// The unnamed partition is the shared memory.json; named ones live in memory/<name>.json
+function getMemoryFile(partition) {
+    const key = normalizePartition(partition)
+    return key ? path.join(memoryDir, `${key}.json`) : memoryFile
+}
 
-function getMemoryData() {
+function getMemoryData(partition = '') {
+    const file = getMemoryFile(partition)
     try {
-        if (!fs.existsSync(memoryFile)) return { server_info: "", players: {} }
-        return JSON.parse(fs.readFileSync(memoryFile, 'utf8'))
-    } catch (e) { return { server_info: "", players: {} } }
+        if (!fs.existsSync(file)) return emptyMemory()
+        const raw = JSON.parse(fs.readFileSync(file, 'utf8'))
+        const data = migrateMemory(raw)
+        if (data !== raw) {
+            fs.copyFileSync(file, `${file}.v1.bak`)
+            saveMemoryData(data, partition)
+        }
+        if (!data.waypoints) data.waypoints = {}
+        if (!data.world_facts) data.world_facts = []
+        if (!data.players) data.players = {}
+        return data
+    } catch (e) { return emptyMemory() }
+}
+
+function saveMemoryData(data, partition = '') {
+    // Waypoints are keyed by lowercase name; re-key in case a name was edited in the UI
+    const waypoints = {}
+    for (const wp of Object.values(data.waypoints || {})) {
+        const key = normalizeWaypointName(wp.name)
+        if (key) waypoints[key] = wp
+    }
+    data.waypoints = waypoints
+    data.world_facts = (data.world_facts || []).filter(f => f && String(f.text || '').trim())
+    for (const player of Object.values(data.players || {})) {
+        player.facts = (player.facts || []).filter(f => f && String(f.text || '').trim())
+    }
+    const file = getMemoryFile(partition)
+    if (!fs.existsSync(path.dirname(file))) fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, JSON.stringify(data, null, 2))
+    hudWaypointCache.delete(normalizePartition(partition))
+}
+
+// The HUD asks every second, so its waypoint list is cached until the next memory save
+const hudWaypointCache = new Map()
+
+function getHudWaypoints(partition = '') {
+    const key = normalizePartition(partition)
+    if (!hudWaypointCache.has(key)) hudWaypointCache.set(key, Object.values(getMemoryData(partition).waypoints))
+    return hudWaypointCache.get(key)
+}
+
+function getStorageData() {
+    try {
+        if (!fs.existsSync(storageFile)) return { containers: {} }
+        const data = JSON.parse(fs.readFileSync(storageFile, 'utf8'))
+        return (data && data.containers) ? data : { containers: {} }
+    } catch (e) { return { containers: {} } }
+}
+
+function saveStorageData(data) {
+    fs.writeFileSync(storageFile, JSON.stringify(data, null, 2))
 }
 
-function saveMemoryData(data) {
-    fs.writeFileSync(memoryFile, JSON.stringify(data, null, 2))
+function updateStorageIndex(update) {
+    const { dimension, position, block, items } = update
+    const coords = `${position.x},${position.y},${position.z}`
+    const key = `${normalizeDimension(dimension)}:${coords}`
+    const data = getStorageData()
+    // Older entries were keyed by the raw "minecraft:..." dimension
+    if (dimension && `${dimension}:${coords}` !== key) delete data.containers[`${dimension}:${coords}`]
+    data.containers[key] = { dimension, position, block, items, updated_at: new Date().toISOString() }
+    saveStorageData(data)
 }
 
-function updatePlayerMemory(target, relation, note) {
-    const data = getMemoryData()
+function normalizeDimension(dimension) {
+    return String(dimension || 'overworld').replace(/^minecraft:/, '')
+}
+
+// Only containers in the bot's dimension are reachable; an unknown dimension matches everything
+function findStoredItem(itemName, dimension = '') {
+    const search = String(itemName || '').trim().toLowerCase().replace(/\s+/g, '_')
+    if (!search) return null
+    let best = null
+    for (const container of Object.values(getStorageData().containers)) {
+        if (dimension && normalizeDimension(container.dimension) !== normalizeDimension(dimension)) continue
+        for (const [name, count] of Object.entries(container.items || {})) {
+            if (!name.includes(search)) continue
+            if (!best || count > best.count) best = { name, count, position: container.position }
+        }
+    }
+    return best
+}
+
+function summarizeStorage(limit = 8) {
+    const containers = Object.values(getStorageData().containers)
+        .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)))
+        .slice(0, limit)
+    return containers.map(c => {
+        const items = Object.entries(c.items || {}).sort((a, b) => b[1] - a[1]).slice(0, 6).map(([n, v]) => `${n} x${v}`).join(', ') || 'empty'
+        return `${c.block}@[${c.position.x},${c.position.y},${c.position.z}] (${normalizeDimension(c.dimension)}): ${items}`
+    }).join('; ')
+}
+
+// One history per server and bot username
+function getConversationFile(server, botName) {
+    const key = [server || 'default', botName].filter(Boolean).join('@').trim().toLowerCase().replace(/[^a-z0-9._@-]+/g, '_') || 'default'
+    return path.join(conversationsDir, `${key}.json`)
+}
+
+function loadConversation(server, botName) {
+    const empty = { server: String(server || 'default'), bot: botName || '', summary: '', turns: [] }
+    try {
+        const file = getConversationFile(server, botName)
+        if (!fs.existsSync(file)) return empty
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'))
+        return { ...empty, ...data, turns: Array.isArray(data.turns) ? data.turns : [] }
+    } catch (e) { return empty }
+}
+
+function saveConversation(conv) {
+    if (!conv) return
+    if (!fs.existsSync(conversationsDir)) fs.mkdirSync(conversationsDir, { recursive: true })
+    conv.updated_at = new Date().toISOString()
+    fs.writeFileSync(getConversationFile(conv.server, conv.bot), JSON.stringify(conv, null, 2))
+}
+
+function recordTurn(session, role, content) {
+    const conv = session.conversation
+    if (!conv || !content) return
+    conv.turns.push({ role, content, ts: new Date().toISOString() })
+    saveConversation(conv)
+    if (conv.turns.length > CONVERSATION_MAX_TURNS) summarizeConversation(session)
+}
+
+// Rolls the oldest turns into an LLM-written summary once the window fills
+async function summarizeConversation(session) {
+    if (session.conversationSummarizing || !session.conversation) return
+    session.conversationSummarizing = true
+    const conv = session.conversation
+    const older = conv.turns.slice(0, conv.turns.length - CONVERSATION_KEEP_TURNS)
+    try {
+        const transcript = older.map(t => `${t.role === 'assistant' ? 'BOT' : 'PLAYER'} ${t.content}`).join('\n')
+        const response = await getLlmProvider(session.config.llm).chat(session.config.model, [
+            { role: 'system', content: 'You compress Minecraft chat logs into memory. Write a short factual summary (max 120 words) in the language of the conversation. Keep player names, promises, requests, coordinates and outcomes. No commentary.' },
+            { role: 'user', content: `PREVIOUS SUMMARY:\n${conv.summary || '(none)'}\n\nNEW TURNS:\n${transcript}` }
+        ])
+        const summary = String(response.content || '').replace(/<think>[\s\S]*?<\/think>/g, '').trim()
+        if (!summary) throw new Error('empty summary')
+        // Cleared while the LLM was busy: writing conv back would resurrect the deleted history
+        if (session.conversation !== conv) return
+        conv.summary = summary
+        conv.turns = conv.turns.slice(older.length)
+        saveConversation(conv)
+        botLog(session, `Conversation summarized (${older.length} turns)`, 'memory')
+    } catch (e) {
+        botLog(session, `Summary error: ${e.message}`, 'error')
+    } finally {
+        session.conversationSummarizing = false
+    }
+}
+
+// System prompt plus the rolled-up summary of earlier conversations
+function baseSystemMessages(session) {
+    if (session.chatHistory.length === 0) return []
+    const base = [session.chatHistory[0]]
+    const conv = session.conversation
+    if (conv && conv.summary) base.push({ role: 'system', content: `[CONVERSATION SUMMARY]: ${conv.summary}` })
+    return base
+}
+
+function buildHistoryMessages(session) {
+    return [...baseSystemMessages(session), ...session.chatHistory.slice(1)]
+}
+
+function normalizeWaypointName(name) {
+    return String(name || '').trim().toLowerCase()
+}
+
+function setWaypoint(waypoint, partition = '') {
+    const key = normalizeWaypointName(waypoint.name)
+    if (!key) return
+    const data = getMemoryData(partition)
+    data.waypoints[key] = {
+        name: String(waypoint.name).trim(),
+        dimension: waypoint.dimension || 'overworld',
+        x: Math.round(waypoint.x),
+        y: Math.round(waypoint.y),
+        z: Math.round(waypoint.z),
+        created_by: waypoint.created_by || 'unknown',
+        created_at: new Date().toISOString()
+    }
+    saveMemoryData(data, partition)
+    const wp = data.waypoints[key]
+    mainWindow.webContents.send('log', { text: `Waypoint "${wp.name}" set at [${wp.x}, ${wp.y}, ${wp.z}] (${wp.dimension})`, type: 'memory' })
+}
+
+function findWaypoint(name, partition = '') {
+    const key = normalizeWaypointName(name)
+    if (!key) return null
+    return getMemoryData(partition).waypoints[key] || null
+}
+
+// Coordinates from another dimension mean nothing here; an unknown bot dimension accepts any waypoint
+function isInDimension(waypoint, dimension) {
+    return !dimension || normalizeDimension(waypoint.dimension) === normalizeDimension(dimension)
+}
+
+function summarizeWaypoints(waypoints) {
+    return Object.values(waypoints || {})
+        .map(wp => `${wp.name} [${wp.x},${wp.y},${wp.z}] (${wp.dimension}, by ${wp.created_by})`)
+        .join('; ')
+}
+
+function factTokens(text) {
+    return new Set(String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s-]/gu, ' ').split(/\s+/).filter(t => t.length > 2))
+}
+
+function factSimilarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0
+    let shared = 0
+    for (const t of a) if (b.has(t)) shared++
+    return shared / (a.size + b.size - shared)
+}
+
+// Adds a fact or refreshes a near-duplicate; the list is pruned to `max` by confidence and recency
+function addFact(list, text, options, max) {
+    const clean = String(text || '').trim()
+    if (!clean) return null
+    const tokens = factTokens(clean)
+    const normalized = clean.toLowerCase()
+    const existing = list.find(f => f.text.toLowerCase() === normalized || factSimilarity(tokens, factTokens(f.text)) >= FACT_DUPLICATE_SIMILARITY)
+    if (existing) {
+        existing.updated_at = new Date().toISOString()
+        existing.confidence = Math.round(Math.min(1, Math.max(existing.confidence || 0, Number(options.confidence) || 0) + 0.1) * 100) / 100
+        const coords = options.coords ? extractCoords(options.coords) : null
+        if (coords) existing.coords = coords
+        return existing
+    }
+    const fact = createFact(clean, { ...options, coords: options.coords ? extractCoords(options.coords) : null })
+    list.push(fact)
+    if (list.length > max) {
+        list.sort((a, b) => scoreFact(b, null) - scoreFact(a, null))
+        list.length = max
+    }
+    return fact
+}
+
+function scoreFact(fact, queryTokens, wantsLocation) {
+    const ageDays = (Date.now() - Date.parse(fact.updated_at || fact.created_at || 0)) / 86400000
+    let score = (fact.confidence || 0.5) + 1 / (1 + Math.max(0, ageDays))
+    if (queryTokens) {
+        const tokens = factTokens(fact.text)
+        for (const t of queryTokens) if (tokens.has(t)) score += 2
+    }
+    if (wantsLocation && fact.coords) score += 1
+    return score
+}
+
+// Returns only the facts most relevant to the current message so the prompt stays small
+function retrieveFacts(facts, query, limit) {
+    const queryTokens = factTokens(query)
+    const wantsLocation = /\b(where|coords?|location)\b|где|координат/i.test(String(query || ''))
+    return (facts || [])
+        .map(f => ({ f, score: scoreFact(f, queryTokens, wantsLocation) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(x => x.f)
+}
+
+function formatFacts(facts) {
+    return facts.map(f => f.coords ? `${f.text} [${f.coords.x},${f.coords.y},${f.coords.z}]` : f.text).join(' | ')
+}
+
+function updatePlayerMemory(target, relation, note, options = {}, partition = '') {
+    const data = getMemoryData(partition)
     if (!data.players[target]) {
-        data.players[target] = { relation: 'neutral', notes: '', first_seen: new Date().toISOString() }
+        data.players[target] = { relation: 'neutral', first_seen: new Date().toISOString(), facts: [] }
     }
     if (relation) data.players[target].relation = relation
-    if (note) {
-        if (!data.players[target].notes.includes(note)) {
-            data.players[target].notes += (data.players[target].notes ? '; ' : '') + note
-        }
-    }
-    saveMemoryData(data)
+    if (note) addFact(data.players[target].facts, note, options, MAX_PLAYER_FACTS)
+    saveMemoryData(data, partition)
     return data.players[target]
 }
 
+function addWorldFact(note, options = {}, partition = '') {
+    const data = getMemoryData(partition)
+    const fact = addFact(data.world_facts, note, options, MAX_WORLD_FACTS)
+    saveMemoryData(data, partition)
+    return fact
+}
+
+// Only the role set in the memory editor counts: relation is written by the LLM from anyone's chat
+function getPlayerRole(name, memData) {
+    const player = (memData || getMemoryData()).players[name]
+    if (player && player.role && ROLE_LEVELS[player.role] !== undefined) return player.role
+    return 'guest'
+}
+
+// Teammate bots act as trusted players when team awareness is on
+function getRequesterRole(session, name, memData) {
+    if (session.config.team && findTeammate(session, name)) return 'trusted'
+    return getPlayerRole(name, memData || getMemoryData(session.memory))
+}
+
+// Game events are answered with the rights of the last human requester, never above guest,
+// so a refused request left in history cannot be replayed by provoking an event
+function getEventRole(session) {
+    const role = session.lastChatUser ? getRequesterRole(session, session.lastChatUser) : 'guest'
+    return ROLE_LEVELS[role] < ROLE_LEVELS.guest ? role : 'guest'
+}
+
+function isActionAllowed(role, action) {
+    const needed = ACTION_MIN_ROLE[action] || 'guest'
+    return ROLE_LEVELS[role] >= ROLE_LEVELS[needed]
+}
+
+function describePermissions(role) {
+    if (role === 'blocked') return 'none'
+    return [...allowedActions].filter(a => isActionAllowed(role, a)).join(', ')
+}
+
+// Owner-ordered guarding fights enemies; auto-pickup leaves items thrown by anyone not trusted alone
+function getPlayerRoles(session) {
+    const memData = getMemoryData(session.memory)
+    const names = Object.keys(memData.players)
+    const enemies = names.filter(name => memData.players[name].relation === 'enemy')
+    const trusted = names.filter(name => ROLE_LEVELS[getPlayerRole(name, memData)] >= ROLE_LEVELS.trusted)
+    if (session.config.team) trusted.push(...getTeammates(session).map(other => other.username))
+    return { enemies, trusted }
+}
+
+function sendPlayerRoles(session) {
+    if (session.process) session.process.send({ type: 'player_roles', ...getPlayerRoles(session) })
+}
+
+// Push the lists to every bot whose memory partition changed
+function syncPlayerRoles(partition = '') {
+    for (const session of bots.values()) {
+        if (session.memory === partition) sendPlayerRoles(session)
+    }
+}
+
+function applyMemoryUpdate(memUpdate, source = 'llm', partition = '') {
+    if (!memUpdate || typeof memUpdate !== 'object') return
+    const options = { source, confidence: memUpdate.confidence, coords: memUpdate.coords }
+    if (memUpdate.target) updatePlayerMemory(memUpdate.target, memUpdate.relation, memUpdate.note, options, partition)
+    if (memUpdate.global_note) addWorldFact(memUpdate.global_note, options, partition)
+    if (memUpdate.relation) syncPlayerRoles(partition)
+    mainWindow.webContents.send('log', { text: `Memory updated${memUpdate.target ? `: ${memUpdate.target}` : ''}`, type: 'memory' })
+}
+
 function normalizeAction(action) {
     return String(action || '').trim().toUpperCase()
 }
 
+function normalizeCmdData(data) {
+    if (!data || typeof data !== 'object') return null
+    const action = normalizeAction(data.action)
+    if (!allowedActions.has(action)) return null
+    const params = (data.params && typeof data.params === 'object') ? data.params : {}
+    return { action, params }
+}
+
 function parseCmdJson(jsonStr) {
     try {
-        const data = JSON.parse(jsonStr)
-        if (!data || typeof data !== 'object') return null
-        const action = normalizeAction(data.action)
-        if (!allowedActions.has(action)) return null
-        const params = (data.params && typeof data.params === 'object') ? data.params : {}
-        return { action, params }
+        return normalizeCmdData(JSON.parse(jsonStr))
     } catch (e) {
         return null
     }
 }
 
-function extractTargetFromMessage(text) {
+function extractTargetFromMessage(text, selfName) {
     if (!text) return ''
     const matches = text.match(/[A-Za-z0-9_]{3,16}/g) || []
     const filtered = matches.filter(m => !/^\d+$/.test(m))
     if (filtered.length === 0) return ''
     const candidate = filtered[filtered.length - 1]
-    if (lastConfig && lastConfig.username && candidate.toLowerCase() === lastConfig.username.toLowerCase()) {
+    if (selfName && candidate.toLowerCase() === selfName.toLowerCase()) {
         return ''
     }
     return candidate
@@ -88,21 +807,42 @@ function extractTargetFromMessage(text) {
 
 function fillMissingTarget(cmdData, fallbackTarget) {
     if (!cmdData || !cmdData.action) return cmdData
-    const needsTarget = cmdData.action === 'FOLLOW' || cmdData.action === 'LOOKAT' || cmdData.action === 'ATTACK' || cmdData.action === 'DROP'
+    const needsTarget = cmdData.action === 'FOLLOW' || cmdData.action === 'LOOKAT' || cmdData.action === 'ATTACK' || cmdData.action === 'DROP' || cmdData.action === 'GUARD'
     if (!needsTarget) return cmdData
     if (!cmdData.params) cmdData.params = {}
     if (!cmdData.params.target) {
-        const target = fallbackTarget || lastChatMention || lastChatUser
-        if (target) cmdData.params.target = target
+        if (fallbackTarget) cmdData.params.target = fallbackTarget
     }
     return cmdData
 }
 
-function resolveActionParams(cmdData, fallbackTarget) {
+function resolveActionParams(cmdData, fallbackTarget, requester, partition = '', dimension = '') {
     if (!cmdData || !cmdData.action) return null
     const action = cmdData.action
     const params = cmdData.params || {}
 
+    if (action === 'SET_WAYPOINT') {
+        if (!normalizeWaypointName(params.name)) return null
+        cmdData.params = { ...params, created_by: requester || 'unknown' }
+        return cmdData
+    }
+
+    // BUILD, FARM and GUARD_AREA must not fall back to the bot's own position for an unusable waypoint
+    const localWaypoint = () => {
+        const wp = findWaypoint(params.waypoint, partition)
+        return wp && isInDimension(wp, dimension) ? wp : null
+    }
+
+    if (action === 'GOTO' && params.waypoint) {
+        const wp = findWaypoint(params.waypoint, partition)
+        if (wp && !isInDimension(wp, dimension)) {
+            cmdData.params = { waypoint: wp.name, dimension: normalizeDimension(wp.dimension) }
+            return cmdData
+        }
+        cmdData.params = wp ? { x: wp.x, y: wp.y, z: wp.z, waypoint: wp.name } : { waypoint: String(params.waypoint) }
+        return cmdData
+    }
+
     if (action === 'GOTO') {
         const x = Number(params.x)
         const y = Number(params.y)
@@ -112,20 +852,93 @@ function resolveActionParams(cmdData, fallbackTarget) {
             cmdData.params = { x, y, z }
             return cmdData
         }
-        const target = params.target || fallbackTarget || lastChatMention || lastChatUser
+        const target = params.target || fallbackTarget
         if (target) {
             return { action: 'FOLLOW', params: { target } }
         }
         return null
     }
 
-    if (action === 'FOLLOW' || action === 'LOOKAT' || action === 'ATTACK') {
+    if (action === 'BUILD') {
+        const wp = params.waypoint ? localWaypoint() : null
+        if (params.waypoint && !wp) return null
+        const coords = wp ? [wp.x, wp.y, wp.z] : ['x', 'y', 'z'].map(k => Number(params[k]))
+        const origin = coords.every(Number.isFinite) ? { x: coords[0], y: coords[1], z: coords[2] } : {}
+        const extra = { ...origin, keep_scaffold: !!params.keep_scaffold, clear: params.clear === true }
+        if (params.file) {
+            const file = resolveBlueprintFile(params.file)
+            if (!file) return null
+            cmdData.params = { ...extra, file: path.basename(file), path: file }
+            return cmdData
+        }
+        if (!Array.isArray(params.blocks) || params.blocks.length === 0) return null
+        cmdData.params = { ...extra, blocks: params.blocks }
+        return cmdData
+    }
+
+    if (action === 'FARM') {
+        const wp = params.waypoint ? localWaypoint() : null
+        if (params.waypoint && !wp) return null
+        const coords = wp ? [wp.x, wp.y, wp.z] : ['x', 'y', 'z'].map(k => Number(params[k]))
+        const center = coords.every(Number.isFinite) ? { x: coords[0], y: coords[1], z: coords[2] } : {}
+        const breed = Array.isArray(params.breed) ? params.breed.map(String) : []
+        cmdData.params = { ...center, radius: params.radius, loop: params.loop === true || params.loop === 'true', interval: params.interval, breed, ...(wp ? { waypoint: wp.name } : {}) }
+        return cmdData
+    }
+
+    if (action === 'GUARD_AREA') {
+        const wp = params.waypoint ? localWaypoint() : null
+        const coords = wp ? [wp.x, wp.y, wp.z] : ['x', 'y', 'z'].map(k => Number(params[k]))
+        if (!coords.every(Number.isFinite)) return null
+        const [x, y, z] = coords
+        cmdData.params = { x, y, z, radius: params.radius, ...(wp ? { waypoint: wp.name } : {}) }
+        return cmdData
+    }
+
+    if (action === 'MINE' || action === 'PLACE') {
+        const coords = ['x', 'y', 'z'].map(k => Number(params[k]))
+        if (!coords.every(Number.isFinite)) return null
+        const [x, y, z] = coords
+        cmdData.params = { ...params, x, y, z }
+        if (action === 'PLACE' && !params.item) return null
+        return cmdData
+    }
+
+    if (action === 'WITHDRAW') {
+        if (!params.item) return null
+        const hasCoords = ['x', 'y', 'z'].every(k => Number.isFinite(Number(params[k])))
+        if (!hasCoords) {
+            const stored = findStoredItem(params.item, dimension)
+            if (stored) cmdData.params = { ...params, ...stored.position }
+        }
+        return cmdData
+    }
+
+    if (action === 'FOLLOW' || action === 'LOOKAT' || action === 'ATTACK' || action === 'GUARD') {
         if (!params.target) return null
     }
 
+    if ((action === 'CRAFT' || action === 'SMELT') && !params.item) return null
+    if (action === 'COLLECT' && !params.block) return null
+    if (action === 'BREED' && !params.animal) return null
+
     return cmdData
 }
 
+function listBlueprints() {
+    if (!fs.existsSync(blueprintsDir)) return []
+    return fs.readdirSync(blueprintsDir).filter(name => BLUEPRINT_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+}
+
+// Only plain file names inside the blueprints folder; the extension may be omitted
+function resolveBlueprintFile(name) {
+    const base = path.basename(String(name || '').trim())
+    if (!base) return null
+    const wanted = (path.extname(base) ? [base] : BLUEPRINT_EXTENSIONS.map(ext => base + ext)).map(file => file.toLowerCase())
+    const found = listBlueprints().find(file => wanted.includes(file.toLowerCase()))
+    return found ? path.join(blueprintsDir, found) : null
+}
+
 function parseAnyActionJson(jsonStr) {
     try {
         const data = JSON.parse(jsonStr)
@@ -192,6 +1005,261 @@ function sanitizeAssistantReply(rawReply) {
     return cleaned
 }
 
+function normalizeBaseUrl(url) {
+    return String(url || '').trim().replace(/\/+$/, '')
+}
+
+async function openAiRequest(llm, endpoint, options = {}) {
+    const baseUrl = llm.baseUrl || 'https://api.openai.com/v1'
+    const headers = { 'Content-Type': 'application/json' }
+    if (llm.apiKey) headers.Authorization = `Bearer ${llm.apiKey}`
+    const res = await fetch(`${baseUrl}${endpoint}`, { ...options, headers })
+    const text = await res.text()
+    if (!res.ok) throw new Error(`LLM API ${res.status}: ${text.slice(0, 200)}`)
+    try { return JSON.parse(text) } catch (e) { throw new Error('LLM API returned invalid JSON') }
+}
+
+const llmProviders = {
+    ollama: {
+        client(llm) {
+            return llm.baseUrl ? new Ollama({ host: llm.baseUrl }) : new Ollama()
+        },
+        async chat(llm, model, messages, tools) {
+            const request = { model, messages }
+            if (tools) request.tools = tools
+            const response = await this.client(llm).chat(request)
+            const toolCalls = (response.message.tool_calls || []).map(call => ({
+                name: call.function.name,
+                arguments: call.function.arguments
+            }))
+            return { content: response.message.content || '', toolCalls }
+        },
+        async listModels(llm) {
+            const list = await this.client(llm).list()
+            return list.models.map(m => ({ name: m.name }))
+        }
+    },
+    openai: {
+        async chat(llm, model, messages, tools) {
+            const body = { model, messages }
+            if (tools) body.tools = tools
+            const data = await openAiRequest(llm, '/chat/completions', {
+                method: 'POST',
+                body: JSON.stringify(body)
+            })
+            const message = (data.choices && data.choices[0] && data.choices[0].message) || {}
+            const toolCalls = (message.tool_calls || []).map(call => ({
+                name: call.function.name,
+                arguments: call.function.arguments
+            }))
+            return { content: message.content || '', toolCalls }
+        },
+        async listModels(llm) {
+            const data = await openAiRequest(llm, '/models', { method: 'GET' })
+            return (data.data || []).map(m => ({ name: m.id }))
+        }
+    }
+}
+
+// Binds a provider to one set of credentials so callers never share connection state
+function getLlmProvider(llm) {
+    const provider = llmProviders[llm.provider] || llmProviders.ollama
+    return {
+        chat: (model, messages, tools) => provider.chat(llm, model, messages, tools),
+        listModels: () => provider.listModels(llm)
+    }
+}
+
+function normalizeLlmConfig(config = {}) {
+    const provider = String(config.provider || 'ollama')
+    return {
+        provider: llmProviders[provider] ? provider : 'ollama',
+        baseUrl: normalizeBaseUrl(config.baseUrl),
+        apiKey: String(config.apiKey || '').trim()
+    }
+}
+
+function getModelKey(llm, model) {
+    return `${llm.provider}:${llm.baseUrl}:${model}`
+}
+
+// Only the providers' explicit "no tool support" answers; rate limits or bad tool calls must not downgrade the model
+const TOOL_SUPPORT_ERRORS = [
+    /does not support tools/i,
+    /no endpoints found that support tool use/i,
+    /enable-auto-tool-choice/i,
+    /(?:tools|tool calling|function calling) (?:is |are )?not supported/i
+]
+
+function isToolSupportError(err) {
+    const message = String(err && err.message)
+    return TOOL_SUPPORT_ERRORS.some(re => re.test(message))
+}
+
+// buildMessages(useTools) lets the caller phrase the action mandate for the protocol actually in use.
+async function llmChat(session, buildMessages) {
+    const provider = getLlmProvider(session.config.llm)
+    const model = session.config.model
+    const modelKey = getModelKey(session.config.llm, model)
+    if (!toolUnsupportedModels.has(modelKey)) {
+        try {
+            return await provider.chat(model, buildMessages(true), buildToolDefinitions())
+        } catch (err) {
+            if (!isToolSupportError(err)) throw err
+            toolUnsupportedModels.add(modelKey)
+            botLog(session, `Model ${model} has no tool support, using text protocol`, 'info')
+        }
+    }
+    const response = await provider.chat(model, buildMessages(false))
+    return { content: response.content, toolCalls: [] }
+}
+
+// Tool calls are kept in history as text so the model remembers what it already did
+function describeToolCalls(toolCalls) {
+    if (!toolCalls || toolCalls.length === 0) return ''
+    return `(tool calls: ${toolCalls.map(call => `${call.name} ${JSON.stringify(parseToolArguments(call.arguments))}`).join('; ')})`
+}
+
+function parseToolArguments(args) {
+    if (args && typeof args === 'object') return args
+    try {
+        const data = JSON.parse(String(args || '{}'))
+        return (data && typeof data === 'object') ? data : {}
+    } catch (e) {
+        return {}
+    }
+}
+
+function estimateTokens(text) {
+    return Math.ceil(String(text).length / 4)
+}
+
+function formatCoords(p) {
+    return `[${p.x},${p.y},${p.z}]`
+}
+
+// Compact SENSES block from env_update; sections are added in priority order until the token budget runs out
+function formatSenses(d, budget = SENSES_TOKEN_BUDGET) {
+    const sections = []
+    const vitals = [`HP ${Math.round(d.health)}/20`, `Food ${d.food}/20`]
+    if (d.armor) vitals.push(`Armor ${d.armor.points}${d.armor.pieces.length ? ` (${d.armor.pieces.join(', ')})` : ''}`)
+    sections.push(vitals.join(', '))
+    if (d.hostiles && d.hostiles.length) sections.push(`Hostiles: ${d.hostiles.map(h => `${h.name} ${h.distance}m`).join(', ')}`)
+    if (d.lookingAt) {
+        const at = d.lookingAt.kind === 'block' ? ` ${formatCoords(d.lookingAt)}` : ''
+        sections.push(`Looking at: ${d.lookingAt.name}${at} ${d.lookingAt.distance}m`)
+    }
+    const place = [`${String(d.dimension || 'overworld').replace(/^minecraft:/, '')}`, d.biome, d.time, d.weather]
+    if (d.light) place.push(`light ${d.light.block}/${d.light.sky}`)
+    sections.push(`World: ${place.filter(Boolean).join(', ')}. Standing on ${d.floor}`)
+    if (d.items && d.items.length) sections.push(`Dropped items: ${d.items.map(i => `${i.name} x${i.count} ${i.distance}m`).join(', ')}`)
+    for (const [kind, blocks] of Object.entries(d.notable || {})) {
+        sections.push(`${kind}: ${blocks.map(b => `${b.name} ${formatCoords(b)}`).join(', ')}`)
+    }
+    if (d.nearby && d.nearby !== 'None') sections.push(`Nearby: ${d.nearby}`)
+
+    let out = '[SENSES]'
+    for (const section of sections) {
+        const candidate = `${out} ${section}.`
+        if (estimateTokens(candidate) > budget) break
+        out = candidate
+    }
+    return out
+}
+
+function buildActionMandate(useTools) {
+    if (useTools) {
+        return `MANDATE: Call the provided tools to act (${getToolNames()}) and update_memory to remember facts. If giving an item, pass the target player to drop. For multi-step jobs call plan with ordered steps.`
+    }
+    return `MANDATE: You MUST include a <<<CMD>>> block if agreeing to act. Several <<<CMD>>> blocks run one after another as a plan.\nFormat: <<<CMD:{"action":"FOLLOW","params":{"target":"PlayerName"}}>>>\nIf giving an item, include target: <<<CMD:{"action":"DROP","params":{"item":"Egg","target":"PlayerName"}}>>>\nValid: ${[...allowedActions].join(', ')}.`
+}
+
+function buildSystemReminder(session, useTools) {
+    return `[SYSTEM REMINDER]\n1. PERSONALITY: ${session.config.prompt}\n2. SENSES: ${session.envContext}\n3. ${buildActionMandate(useTools)}`
+}
+
+function prepareAction(session, cmdData, fallbackTarget, requester) {
+    if (!cmdData) return null
+    cmdData = fillMissingTarget(cmdData, fallbackTarget)
+    return resolveActionParams(cmdData, fallbackTarget, requester, session.memory, session.dimension)
+}
+
+function refuseActions(session, requester, role, actions) {
+    const list = actions.join(', ')
+    botLog(session, `🔒 DENIED ${list} for ${requester} (${role})`, 'action')
+    pushHistory(session, { role: 'system', content: `[ACCESS] ${list} refused: ${requester} has role ${role}.` })
+    if (session.process) session.process.send({ type: 'speak', text: `Sorry ${requester}, I can't do that for you (${list.toLowerCase()}).` })
+}
+
+// A looping FARM keeps the base fed, so it survives respawns like FOLLOW and GUARD
+function isPersistentStep(step) {
+    return PERSISTENT_ACTIONS.has(step.action) || (step.action === 'FARM' && !!(step.params && step.params.loop))
+}
+
+// All actions from one reply form a plan that bot_wrapper runs sequentially.
+function dispatchPlan(session, steps) {
+    if (!session.process || steps.length === 0) return
+    // The wrapper drops whatever ran before, so a plan without a persistent step ends the standing task too
+    session.standingTask = steps.filter(isPersistentStep).pop() || null
+    session.process.send({ type: 'ai_plan', steps })
+    botLog(session, `⚡ ACTION: ${steps.map(s => s.action).join(' → ')}`, 'ai')
+}
+
+// Executes native tool calls first; the <<<CMD>>>/<<<MEM>>> text blocks remain as a fallback for models without tool support.
+function processAssistantReply(session, response, fallbackTarget, { allowMemory = true, requester = '', role = 'guest' } = {}) {
+    const rawReply = String(response.content || '').replace(/<think>[\s\S]*?<\/think>/g, '').trim()
+    const steps = []
+    const denied = new Set()
+    const addStep = (cmdData) => {
+        const prepared = prepareAction(session, cmdData, fallbackTarget, requester)
+        if (!prepared) return
+        if (!isActionAllowed(role, prepared.action)) {
+            denied.add(prepared.action)
+            return
+        }
+        // Guarding fights enemy players only for an owner, like ATTACK; the model cannot set this itself
+        if (prepared.action === 'GUARD' || prepared.action === 'GUARD_AREA') {
+            prepared.params = { ...prepared.params, fight_players: ROLE_LEVELS[role] >= ROLE_LEVELS.owner }
+        }
+        steps.push(prepared)
+    }
+
+    for (const call of response.toolCalls || []) {
+        const args = parseToolArguments(call.arguments)
+        if (call.name === MEMORY_TOOL_NAME) {
+            if (allowMemory) applyMemoryUpdate(args, 'llm', session.memory)
+            continue
+        }
+        if (call.name === PLAN_TOOL_NAME) {
+            const planSteps = Array.isArray(args.steps) ? args.steps : []
+            planSteps.forEach(step => addStep(normalizeCmdData(step)))
+            continue
+        }
+        addStep(normalizeCmdData({ action: call.name, params: args }))
+    }
+
+    if (allowMemory) {
+        const memRegex = /<<<MEM:([\s\S]*?)>>>/g
+        let mMatch
+        while ((mMatch = memRegex.exec(rawReply)) !== null) {
+            try {
+                applyMemoryUpdate(JSON.parse(mMatch[1].replace(/\n/g, ' ')), 'llm', session.memory)
+            } catch (e) {}
+        }
+    }
+
+    const cmdRegexGlobal = /<<<CMD:([\s\S]*?)>>>/g
+    let cMatch
+    while ((cMatch = cmdRegexGlobal.exec(rawReply)) !== null) {
+        addStep(parseCmdJson(cMatch[1].replace(/\n/g, ' ')))
+    }
+
+    dispatchPlan(session, steps)
+    if (denied.size > 0) refuseActions(session, requester, role, [...denied])
+
+    return sanitizeAssistantReply(rawReply)
+}
+
 function getTtsPaths() {
     return {
         python: path.join(__dirname, 'tts', '.venv', 'Scripts', 'python.exe'),
@@ -345,168 +1413,522 @@ function createWindow () {
 app.whenReady().then(createWindow)
 
 app.on('window-all-closed', () => {
-  if (botProcess) botProcess.kill()
+  for (const session of bots.values()) {
+    session.userStopped = true
+    if (session.reconnectTimer) clearTimeout(session.reconnectTimer)
+    if (session.process) session.process.kill()
+  }
   if (proxyProcess) proxyProcess.kill()
   app.quit()
 })
 
+function createBotSession(config) {
+    return {
+        id: String(config.username).trim().toLowerCase(),
+        username: String(config.username).trim(),
+        config,
+        memory: normalizePartition(config.memory),
+        process: null,
+        status: 'offline',
+        statusDetail: '',
+        chatHistory: [],
+        conversation: null,
+        conversationSummarizing: false,
+        pending: false,
+        reconnectTimer: null,
+        reconnectAttempts: 0,
+        userStopped: false,
+        lastDisconnect: null,
+        standingTask: null,
+        currentTask: '',
+        envContext: 'Environment: Scanning...',
+        position: null,
+        dimension: null,
+        autonomyState: null,
+        safetyState: null,
+        pickupState: null,
+        viewer: { running: false },
+        lastChatUser: '',
+        lastChatMention: '',
+        lastEventAt: {}
+    }
+}
+
+function getActiveBot() {
+    return activeBotId ? bots.get(activeBotId) || null : null
+}
+
+function botLog(session, text, type) {
+    mainWindow.webContents.send('log', { text, type, bot: session.id })
+}
+
+function sendBotList() {
+    if (!mainWindow) return
+    const list = [...bots.values()].map(b => ({
+        id: b.id, username: b.username, status: b.status, detail: b.statusDetail,
+        memory: b.memory, server: b.config.server || '', team: !!b.config.team
+    }))
+    mainWindow.webContents.send('bots-list', { bots: list, active: activeBotId })
+}
+
+function getTeammates(session) {
+    return [...bots.values()].filter(other => other !== session && other.config.team && other.process)
+}
+
+function findTeammate(session, name) {
+    const key = String(name || '').trim().toLowerCase()
+    return getTeammates(session).find(other => other.username.toLowerCase() === key) || null
+}
+
+function summarizeTeam(session) {
+    return getTeammates(session).map(other => {
+        const pos = other.position ? ` at [${other.position.x},${other.position.y},${other.position.z}]` : ''
+        return `${other.username}${pos}, task: ${other.currentTask || 'idle'}`
+    }).join('; ')
+}
+
 ipcMain.on('start-bot', (event, config) => {
-  if (botProcess || startTimer) return
-  lastConfig = config
+  if (!config || !String(config.username || '').trim()) return
+  const existing = bots.get(String(config.username).trim().toLowerCase())
+  if (existing && (existing.process || existing.pending || existing.reconnectTimer)) {
+      event.reply('log', { text: `Bot ${existing.username} is already running`, type: 'error', bot: existing.id })
+      return
+  }
+  const usedPorts = new Set([...bots.values()].map(b => b.config.viewerPort))
+  let viewerPort = VIEWER_BASE_PORT
+  while (usedPorts.has(viewerPort)) viewerPort += VIEWER_PORT_STRIDE
+  // Each bot keeps its own provider and key; later UI changes only affect newly started bots
+  const session = createBotSession({ ...config, viewerPort, llm: normalizeLlmConfig(config) })
+  bots.set(session.id, session)
+  activeBotId = session.id
   
-  event.reply('log', { text: 'Starting Bot process...', type: 'info' })
+  botLog(session, 'Starting Bot process...', 'info')
   
   const memoryInstruction = `
 [HIDDEN INSTRUCTION: MEMORY & ACTION PROTOCOLS]
 You are an advanced AI agent in Minecraft.
 
 1. MEMORY PROTOCOL:
-If you learn something new about a player or the world (especially LOCATIONS/COORDINATES), output a hidden JSON block at the end.
-Format: <<<MEM:{"target":"player_name", "relation":"friend|neutral|enemy", "note":"fact", "global_note":"world fact"}>>>
+If you learn something new about a player or the world (especially LOCATIONS/COORDINATES), call the update_memory tool.
+Without tools, output a hidden JSON block at the end instead.
+Format: <<<MEM:{"target":"player_name", "relation":"friend|neutral|enemy", "note":"fact", "global_note":"world fact", "coords":{"x":0,"y":64,"z":0}}>>>
+Only the facts relevant to the current message are shown to you; store each fact separately and concisely.
 
 2. ACTION PROTOCOL:
-You MUST output a hidden JSON block at the end of your message to perform any physical movement.
-- VALID COMMANDS: FOLLOW, GOTO, ATTACK, DROP, EQUIP, LOOKAT, STOP.
+To perform any physical movement, call the matching tool (${getToolNames()}).
+For multi-step jobs, call plan with ordered steps; STOP cancels the running plan.
+Without tools, you MUST output a hidden JSON block at the end of your message instead (several blocks run in order).
+You will receive [TASK] notes telling whether each action succeeded or failed.
+- VALID COMMANDS: ${[...allowedActions].join(', ')}.
 - FORMAT EXAMPLE:
 <<<CMD:{"action":"FOLLOW","params":{"target":"PlayerName"}}>>>
 <<<CMD:{"action":"GOTO","params":{"x":0,"y":64,"z":0}}>>>
 <<<CMD:{"action":"DROP","params":{"item":"Egg","target":"PlayerName"}}>>>
+<<<CMD:{"action":"COLLECT","params":{"block":"oak_log","count":4}}>>>
+<<<CMD:{"action":"CRAFT","params":{"item":"crafting_table","count":1}}>>>
+<<<CMD:{"action":"WITHDRAW","params":{"item":"iron_ingot","count":5}}>>>
+<<<CMD:{"action":"SET_WAYPOINT","params":{"name":"base"}}>>>
+<<<CMD:{"action":"GUARD_AREA","params":{"waypoint":"base","radius":12}}>>>
+<<<CMD:{"action":"BUILD","params":{"blocks":[{"block":"cobblestone","x":0,"y":0,"z":0,"x2":4,"y2":0,"z2":4}]}}>>>
+<<<CMD:{"action":"GOTO","params":{"waypoint":"base"}}>>>
+
+3. PERMISSIONS:
+Each player has a role (owner, trusted, guest, blocked). Only perform actions the requester's role allows; politely refuse the rest.
+
+4. STORAGE:
+The Storage Index in the memory layer lists what the bot saw in each chest. Use it to answer where items are stored.
 `
+  const teamInstruction = config.team ? `
+5. TEAM:
+Other bots run by the same operator are your teammates (listed as Teammates in the memory layer). Split work instead of duplicating it, address a teammate by name in chat to ask for help, and only answer teammates when they address you.
+` : ''
   
-  const systemContent = config.prompt + ` (My name is ${config.username}).\n` + memoryInstruction
-  chatHistory = [{ role: 'system', content: systemContent }]
-
-  mainWindow.webContents.send('log', { text: 'Waiting for Proxy warmup (8s)...', type: 'info' })
-
-  startTimer = setTimeout(() => {
-      startTimer = null
-      try {
-          botProcess = fork(path.join(__dirname, 'bot_wrapper.js'), [JSON.stringify(config)], {
-            stdio: ['pipe', 'pipe', 'pipe', 'ipc']
-          })
-          setupBotListeners()
-      } catch (e) {
-          mainWindow.webContents.send('log', { text: 'FORK ERROR: ' + e.message, type: 'error' })
-      }
-  }, 8000)
+  const systemContent = config.prompt + ` (My name is ${session.username}).\n` + memoryInstruction + teamInstruction
+  session.conversation = loadConversation(config.server || 'default', session.username)
+  const restored = session.conversation.turns.slice(-CONVERSATION_RESTORE_TURNS).map(t => ({ role: t.role, content: t.content }))
+  session.chatHistory = [{ role: 'system', content: systemContent }, ...restored]
+  if (session.conversation.summary || restored.length > 0) {
+      botLog(session, `Conversation restored (${restored.length} turns${session.conversation.summary ? ' + summary' : ''})`, 'memory')
+  }
+
+  setBotStatus(session, 'starting')
+  launchBot(session)
 })
 
-function setupBotListeners() {
-    if (!botProcess) return
+// Direct mode talks to the server itself; auto picks it when bot and server versions match
+function resolveConnection(config) {
+    const mode = config.connectMode || 'auto'
+    const direct = mode === 'direct' || (mode === 'auto' && !!config.serverVersion && config.serverVersion === config.version)
+    if (direct) return { direct: true, ...parseHostPort(config.server) }
+    return { direct: false, host: 'localhost', port: proxyBindPort }
+}
 
-    botProcess.on('message', async (msg) => {
-        if (msg.type === 'log') {
-            mainWindow.webContents.send('log', { text: msg.text, type: msg.logType })
-        }
-        else if (msg.type === 'env_update') {
-            const d = msg.data
-            envContext = `[VISUALS]: Time: ${d.time}. Standing on: ${d.floor}. Nearby: ${d.nearby}.`
+async function launchBot(session) {
+    const connection = resolveConnection(session.config)
+    session.pending = true
+    try {
+        if (!connection.direct) {
+            if (proxyState !== 'ready') botLog(session, 'Waiting for ViaProxy...', 'info')
+            await waitForProxy()
         }
-        else if (msg.type === 'inventory_data') {
-            mainWindow.webContents.send('inventory-update', msg.data)
+    } catch (e) {
+        session.pending = false
+        if (session.userStopped) return
+        botLog(session, `Cannot connect: ${e.message}`, 'error')
+        // A reconnect keeps retrying while the proxy comes back; a fresh start just fails
+        if (session.reconnectAttempts > 0) {
+            session.lastDisconnect = { category: 'unreachable', reason: e.message }
+            scheduleReconnect(session)
+        } else {
+            setBotStatus(session, 'offline', e.message)
         }
-        else if (msg.type === 'chat_event') {
-            const { username, message } = msg
-            lastChatUser = username
-            lastChatMention = extractTargetFromMessage(message)
-            const memData = getMemoryData()
-            const playerInfo = memData.players[username]
-            
-            let contextNote = `[SYSTEM: HIDDEN MEMORY LAYER]`
-            if (playerInfo) {
-                contextNote += ` Known Player: ${username}. Relation: ${playerInfo.relation}. Notes: ${playerInfo.notes}.`
-            }
-            contextNote += ` Server Facts: ${memData.server_info}. Bot Position: ${JSON.stringify(msg.position || 'unknown')}`
+        return
+    }
+    session.pending = false
+    if (session.userStopped) return
+    botLog(session, connection.direct ? `Direct connection to ${connection.host}:${connection.port}` : `Connecting through ViaProxy (port ${connection.port})`, 'info')
+    session.config = { ...session.config, host: connection.host, port: connection.port }
+    forkBot(session)
+}
 
-            chatHistory.push({ role: 'system', content: contextNote })
-            chatHistory.push({ role: 'user', content: `${username}: ${message}` })
-            if (chatHistory.length > 20) chatHistory = [chatHistory[0], ...chatHistory.slice(-19)]
+function setBotStatus(session, state, detail) {
+    session.status = state
+    session.statusDetail = detail || ''
+    sendBotList()
+}
 
-            if (username === 'SYSTEM') {
-                const now = Date.now()
-                if (now - lastSystemAiAt < SYSTEM_AI_COOLDOWN_MS) {
-                    mainWindow.webContents.send('log', { text: `[SYSTEM] ${message}`, type: 'info' })
-                    return
-                }
-                lastSystemAiAt = now
-            }
+function forkBot(session) {
+    try {
+        const config = { ...session.config, authCacheDir: path.join(app.getPath('userData'), 'auth-cache') }
+        session.process = fork(path.join(__dirname, 'bot_wrapper.js'), [JSON.stringify(config)], {
+          stdio: ['pipe', 'pipe', 'pipe', 'ipc']
+        })
+        setupBotListeners(session)
+        setBotStatus(session, 'connecting')
+    } catch (e) {
+        botLog(session, 'FORK ERROR: ' + e.message, 'error')
+        setBotStatus(session, 'offline', e.message)
+    }
+}
 
-            try {
-                mainWindow.webContents.send('log', { text: `AI Thinking...`, type: 'ai' })
-                
-                const messagesWithReminder = [...chatHistory, {
-                    role: 'system',
-                    content: `[SYSTEM REMINDER]\n1. PERSONALITY: ${lastConfig.prompt}\n2. SENSES: ${envContext}\n3. MANDATE: You MUST include a <<<CMD>>> block if agreeing to act.\nFormat: <<<CMD:{"action":"FOLLOW","params":{"target":"PlayerName"}}>>>\nIf giving an item, include target: <<<CMD:{"action":"DROP","params":{"item":"Egg","target":"PlayerName"}}>>>\nValid: FOLLOW, GOTO, ATTACK, DROP, EQUIP, LOOKAT, STOP.`
-                }]
-
-                const response = await ollama.chat({ model: lastConfig.model, messages: messagesWithReminder })
-                let reply = response.message.content
-                let rawReply = reply.replace(/<think>[\s\S]*?<\/think>/g, '').trim()
-                let cleanReply = rawReply
-
-                // Parse MEM
-                const memRegex = /<<<MEM:([\s\S]*?)>>>/g
-                let mMatch
-                while ((mMatch = memRegex.exec(rawReply)) !== null) {
-                    try {
-                        const memUpdate = JSON.parse(mMatch[1].replace(/\n/g, ' '))
-                        if (memUpdate.target) updatePlayerMemory(memUpdate.target, memUpdate.relation, memUpdate.note)
-                        if (memUpdate.global_note) {
-                            const d = getMemoryData(); d.server_info += (d.server_info ? "; " : "") + memUpdate.global_note; saveMemoryData(d);
-                        }
-                    } catch (e) {}
-                }
+function scheduleReconnect(session, code) {
+    const disconnect = session.lastDisconnect || { category: 'crashed', reason: `exit code ${code}` }
+    session.lastDisconnect = null
+    const settings = session.config.reconnect || {}
+    if (FATAL_DISCONNECTS.has(disconnect.category)) {
+        botLog(session, `Not reconnecting: ${disconnect.category} (${disconnect.reason})`, 'error')
+        setBotStatus(session, disconnect.category, disconnect.reason)
+        return
+    }
+    if (!settings.enabled) {
+        setBotStatus(session, 'offline', disconnect.reason)
+        return
+    }
+    const maxAttempts = Number(settings.maxAttempts) || 0
+    if (maxAttempts > 0 && session.reconnectAttempts >= maxAttempts) {
+        botLog(session, `Reconnect gave up after ${session.reconnectAttempts} attempts`, 'error')
+        setBotStatus(session, 'offline', disconnect.reason)
+        return
+    }
+    let delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** session.reconnectAttempts)
+    if (disconnect.category === 'throttled') delay = Math.max(delay, RECONNECT_THROTTLED_MIN_DELAY_MS)
+    session.reconnectAttempts += 1
+    botLog(session, `Reconnecting in ${Math.round(delay / 1000)}s (attempt ${session.reconnectAttempts}, ${disconnect.category})`, 'info')
+    setBotStatus(session, 'reconnecting', `attempt ${session.reconnectAttempts} in ${Math.round(delay / 1000)}s`)
+    session.reconnectTimer = setTimeout(() => {
+        session.reconnectTimer = null
+        if (!session.userStopped && !session.process) launchBot(session)
+    }, delay)
+}
 
-                // Parse CMD
-                const cmdRegexGlobal = /<<<CMD:([\s\S]*?)>>>/g
-                let cMatch
-                while ((cMatch = cmdRegexGlobal.exec(rawReply)) !== null) {
-                    try {
-                        const jsonStr = cMatch[1].replace(/\n/g, ' ')
-                        let cmdData = parseCmdJson(jsonStr)
-                        if (!cmdData) continue
-                        cmdData = fillMissingTarget(cmdData, lastChatMention || username)
-                        cmdData = resolveActionParams(cmdData, lastChatMention || username)
-                        if (!cmdData) continue
-                        botProcess.send({ type: 'ai_action', action: cmdData.action, params: cmdData.params })
-                        mainWindow.webContents.send('log', { text: `⚡ ACTION: ${cmdData.action}`, type: 'ai' })
-                    } catch (e) { }
-                }
+// Microsoft accounts log in by email; the in-game name only arrives with the spawn
+function renameSession(session, username) {
+    if (username === session.username) return
+    const system = session.chatHistory[0]
+    if (system) system.content = system.content.replace(`(My name is ${session.username})`, `(My name is ${username})`)
+    botLog(session, `In-game name: ${username}`, 'info')
+    session.username = username
+    sendBotList()
+}
 
-                cleanReply = sanitizeAssistantReply(rawReply)
-                mainWindow.webContents.send('log', { text: `AI: ${cleanReply}`, type: 'ai' })
-                chatHistory.push({ role: 'assistant', content: cleanReply })
-                if (cleanReply) {
-                    botProcess.send({ type: 'speak', text: cleanReply })
-                    enqueueTts(cleanReply)
-                }
+// FOLLOW reports done once it catches up but keeps following; a new plan's own cancellations are handled in dispatchPlan
+function isStandingTaskOver(session, msg) {
+    const standing = session.standingTask
+    if (!standing || standing.action !== msg.action) return false
+    if (msg.status === 'done') return msg.action !== 'FOLLOW'
+    return msg.status === 'failed' && !/^cancelled \(replaced by new plan\)/.test(msg.detail || '')
+}
 
-            } catch (err) {
-                mainWindow.webContents.send('log', { text: `AI Error: ${err.message}`, type: 'error' })
-            }
+function restoreStandingTask(session) {
+    if (!session.standingTask || !session.process) return
+    botLog(session, `Restoring task: ${session.standingTask.action}`, 'action')
+    session.process.send({ type: 'ai_plan', steps: [session.standingTask] })
+}
+
+function pushHistory(session, ...messages) {
+    session.chatHistory.push(...messages)
+    if (session.chatHistory.length > 20) session.chatHistory = [session.chatHistory[0], ...session.chatHistory.slice(-19)]
+}
+
+function handleTaskEvent(session, msg) {
+    const label = `[TASK] ${msg.action} #${msg.id}: ${msg.status}${msg.detail ? ` (${msg.detail})` : ''}`
+    if (msg.status === 'progress') {
+        botLog(session, label, 'action')
+        return
+    }
+    botLog(session, label, msg.status === 'failed' ? 'error' : 'action')
+    if (msg.status === 'start') {
+        const target = msg.params && msg.params.target ? ` ${msg.params.target}` : ''
+        session.currentTask = `${msg.action}${target}`
+        return
+    }
+    if (!msg.remaining) session.currentTask = ''
+    if (isStandingTaskOver(session, msg)) session.standingTask = null
+    pushHistory(session, { role: 'system', content: label })
+    if (msg.status === 'failed' && !/^(cancelled|skipped)/.test(msg.detail || '')) {
+        handleChatEvent(session, { username: 'SYSTEM', internal: true, event: 'task_failed', message: `TASK FAILED: ${msg.action} (${msg.detail})` })
+    }
+}
+
+function isEventEnabled(session, event) {
+    const events = session.config.events || {}
+    if (event in events) return !!events[event]
+    return GAME_EVENTS[event] ? GAME_EVENTS[event].wake : true
+}
+
+// Disabled events and events inside their type's cooldown stay in history without an LLM call
+function shouldWakeAi(session, event) {
+    const type = event || 'system'
+    if (!isEventEnabled(session, type)) return false
+    const now = Date.now()
+    const cooldown = GAME_EVENTS[type] ? GAME_EVENTS[type].cooldownMs : 0
+    if (now - (session.lastEventAt[type] || 0) < cooldown) return false
+    session.lastEventAt[type] = now
+    return true
+}
+
+function handleGameEvent(session, msg) {
+    let message = msg.message
+    if (msg.event === 'death' && msg.position) {
+        setWaypoint({ name: DEATH_WAYPOINT, dimension: msg.dimension, ...msg.position, created_by: session.username }, session.memory)
+        message += ` Death spot saved as waypoint "${DEATH_WAYPOINT}"; GOTO it to recover the dropped items.`
+    }
+    handleChatEvent(session, { username: 'SYSTEM', internal: true, event: msg.event, message, position: msg.position })
+}
+
+// msg.internal marks events raised by the app itself; chat from a player who calls himself SYSTEM is still chat
+async function handleChatEvent(session, msg) {
+    const { username, message } = msg
+    const internal = !!msg.internal
+    const teammate = session.config.team ? findTeammate(session, username) : null
+    // Bots share one chat; a teammate's line only needs an answer when it names this bot
+    if (teammate && !message.toLowerCase().includes(session.username.toLowerCase())) {
+        pushHistory(session, { role: 'user', content: `${username}: ${message}` })
+        return
+    }
+    if (!internal) session.lastChatUser = username
+    session.lastChatMention = extractTargetFromMessage(message, session.username)
+    const memData = getMemoryData(session.memory)
+    const playerInfo = memData.players[username]
+    
+    let contextNote = `[SYSTEM: HIDDEN MEMORY LAYER]`
+    if (playerInfo) {
+        const facts = formatFacts(retrieveFacts(playerInfo.facts, message, MEMORY_CONTEXT_PLAYER_FACTS))
+        contextNote += ` Known Player: ${username}. Relation: ${playerInfo.relation}.${facts ? ` Facts: ${facts}.` : ''}`
+    }
+    const role = internal ? getEventRole(session) : getRequesterRole(session, username, memData)
+    contextNote += ` Requester Role: ${role} (may order: ${describePermissions(role)}).`
+    const mentioned = session.lastChatMention && session.lastChatMention !== username ? memData.players[session.lastChatMention] : null
+    if (mentioned) {
+        const facts = formatFacts(retrieveFacts(mentioned.facts, message, 3))
+        contextNote += ` Mentioned Player: ${session.lastChatMention}. Relation: ${mentioned.relation}.${facts ? ` Facts: ${facts}.` : ''}`
+    }
+    const worldFacts = formatFacts(retrieveFacts(memData.world_facts, message, MEMORY_CONTEXT_WORLD_FACTS))
+    if (worldFacts) contextNote += ` World Facts: ${worldFacts}.`
+    contextNote += ` Bot Position: ${JSON.stringify(msg.position || 'unknown')}`
+    const waypointSummary = summarizeWaypoints(memData.waypoints)
+    if (waypointSummary) contextNote += ` Waypoints: ${waypointSummary}.`
+    const storageSummary = summarizeStorage()
+    if (storageSummary) contextNote += ` Storage Index: ${storageSummary}.`
+    const blueprints = listBlueprints()
+    if (blueprints.length > 0) contextNote += ` Blueprints: ${blueprints.join(', ')}.`
+    if (session.config.team) {
+        const team = summarizeTeam(session)
+        if (team) contextNote += ` Teammates: ${team}.`
+    }
+
+    pushHistory(session, { role: 'system', content: contextNote }, { role: 'user', content: `${username}: ${message}` })
+    if (!internal) recordTurn(session, 'user', `${username}: ${message}`)
+
+    if (internal && !shouldWakeAi(session, msg.event)) {
+        botLog(session, `[SYSTEM] ${message}`, 'info')
+        return
+    }
+
+    try {
+        botLog(session, `AI Thinking...`, 'ai')
+        
+        const history = buildHistoryMessages(session)
+        const response = await llmChat(session, (useTools) => [...history, { role: 'system', content: buildSystemReminder(session, useTools) }])
+        const cleanReply = processAssistantReply(session, response, session.lastChatMention || username, { requester: username, role })
+        botLog(session, `AI: ${cleanReply}`, 'ai')
+        const historyReply = [cleanReply, describeToolCalls(response.toolCalls)].filter(Boolean).join(' ')
+        if (historyReply) {
+            pushHistory(session, { role: 'assistant', content: historyReply })
+            recordTurn(session, 'assistant', historyReply)
+        }
+        if (cleanReply && session.process) {
+            session.process.send({ type: 'speak', text: cleanReply })
+            enqueueTts(cleanReply)
+        }
+
+    } catch (err) {
+        botLog(session, `AI Error: ${err.message}`, 'error')
+    }
+}
+
+function setupBotListeners(session) {
+    const child = session.process
+    if (!child) return
+
+    child.on('message', async (msg) => {
+        if (msg.type === 'log') {
+            botLog(session, msg.text, msg.logType)
+        }
+        else if (msg.type === 'env_update') {
+            const d = msg.data
+            session.position = d.position || null
+            session.dimension = d.dimension || null
+            session.envContext = formatSenses(d)
+        }
+        else if (msg.type === 'inventory_data') {
+            if (session.id === activeBotId) mainWindow.webContents.send('inventory-update', msg.data)
+        }
+        else if (msg.type === 'spawned') {
+            session.reconnectAttempts = 0
+            if (msg.username) renameSession(session, msg.username)
+            setBotStatus(session, 'online')
+            // A new teammate changes everyone's trusted list
+            for (const other of bots.values()) sendPlayerRoles(other)
+            // Portals and dimension changes spawn too; only a fresh connection or a death respawn loses the task
+            if (msg.reason !== 'world_change') setTimeout(() => restoreStandingTask(session), 2000)
+        }
+        else if (msg.type === 'auth_code') {
+            botLog(session, `🔑 Microsoft login: open ${msg.url} and enter code ${msg.code} (expires in ${Math.round(msg.expiresIn / 60)} min)`, 'info')
+        }
+        else if (msg.type === 'disconnect') {
+            session.lastDisconnect = { category: msg.category, reason: msg.reason }
+            botLog(session, `Disconnected (${msg.category}): ${msg.reason}`, 'error')
+        }
+        else if (msg.type === 'waypoint_set') {
+            setWaypoint(msg.data, session.memory)
+        }
+        else if (msg.type === 'storage_update') {
+            updateStorageIndex(msg.data)
+        }
+        else if (msg.type === 'autonomy_state') {
+            session.autonomyState = msg.data
+            if (session.id === activeBotId) mainWindow.webContents.send('autonomy-state', msg.data)
+        }
+        else if (msg.type === 'safety_state') {
+            // Kept in the config so a reconnect starts with the current settings
+            session.safetyState = msg.data
+            session.config.safety = msg.data
+            if (session.id === activeBotId) mainWindow.webContents.send('safety-state', msg.data)
+        }
+        else if (msg.type === 'pickup_state') {
+            session.pickupState = msg.data
+            session.config.pickup = msg.data
+            if (session.id === activeBotId) mainWindow.webContents.send('pickup-state', msg.data)
+        }
+        else if (msg.type === 'hud_update') {
+            if (session.id !== activeBotId) return
+            const dimension = normalizeDimension(msg.data.dimension)
+            const waypoints = getHudWaypoints(session.memory)
+                .filter(wp => normalizeDimension(wp.dimension) === dimension)
+                .map(wp => ({ name: wp.name, x: wp.x, y: wp.y, z: wp.z }))
+            mainWindow.webContents.send('hud-update', { ...msg.data, waypoints })
+        }
+        else if (msg.type === 'viewer_state') {
+            session.viewer = msg.data
+            if (session.id === activeBotId) mainWindow.webContents.send('viewer-state', msg.data)
+        }
+        else if (msg.type === 'viewer_goto') {
+            botLog(session, `🌍 World view GOTO [${msg.x}, ${msg.y}, ${msg.z}]`, 'action')
+            dispatchPlan(session, [{ action: 'GOTO', params: { x: msg.x, y: msg.y, z: msg.z } }])
+        }
+        else if (msg.type === 'task_event') {
+            handleTaskEvent(session, msg)
+        }
+        else if (msg.type === 'chat_event') {
+            handleChatEvent(session, msg)
+        }
+        else if (msg.type === 'game_event') {
+            handleGameEvent(session, msg)
         }
     })
 
-    botProcess.on('exit', (code) => {
-        botProcess = null
-        mainWindow.webContents.send('log', { text: `Bot process exited with code ${code}`, type: 'error' })
+    child.on('exit', (code) => {
+        if (session.process === child) session.process = null
+        botLog(session, `Bot process exited with code ${code}`, 'error')
+        session.viewer = { running: false }
+        if (session.id === activeBotId) mainWindow.webContents.send('viewer-state', session.viewer)
+        if (session.userStopped) setBotStatus(session, 'offline')
+        else scheduleReconnect(session, code)
     })
 
-    botProcess.stderr.on('data', (data) => {
-        mainWindow.webContents.send('log', { text: `BOT CRASH: ${data}`, type: 'error' })
+    child.stderr.on('data', (data) => {
+        botLog(session, `BOT CRASH: ${data}`, 'error')
     })
 }
 
-ipcMain.on('stop-bot', () => {
-    if (startTimer) { clearTimeout(startTimer); startTimer = null; }
-    if (botProcess) { botProcess.kill(); botProcess = null; }
-    mainWindow.webContents.send('log', { text: 'Bot Emergency Stop', type: 'error' })
+ipcMain.on('select-bot', (e, id) => {
+    activeBotId = id && bots.has(id) ? id : null
+    sendBotList()
+    const session = getActiveBot()
+    e.reply('viewer-state', session ? session.viewer : { running: false })
+    if (!session) return
+    if (session.autonomyState) e.reply('autonomy-state', session.autonomyState)
+    if (session.safetyState) e.reply('safety-state', session.safetyState)
+    if (session.pickupState) e.reply('pickup-state', session.pickupState)
+    e.reply('event-triggers', session.config.events || {})
+    if (session.process) session.process.send({ type: 'get_inventory' })
+})
+
+ipcMain.on('stop-bot', (e, id) => {
+    const session = id ? bots.get(id) : getActiveBot()
+    if (!session) return
+    session.userStopped = true
+    if (session.reconnectTimer) { clearTimeout(session.reconnectTimer); session.reconnectTimer = null; }
+    if (session.process) { session.process.kill(); session.process = null; }
+    botLog(session, 'Bot Emergency Stop', 'error')
+    bots.delete(session.id)
+    if (activeBotId === session.id) activeBotId = bots.size > 0 ? bots.keys().next().value : null
+    sendBotList()
 })
 
-ipcMain.on('bot-command', (e, cmd) => { if(botProcess) botProcess.send({ type: 'command', text: cmd }) })
-ipcMain.on('manual-action', (e, { action, state }) => { if(botProcess) botProcess.send({ type: 'manual_control', action, state }) })
-ipcMain.on('move-item', (e, { from, to }) => { if(botProcess) botProcess.send({ type: 'move_item', from, to }) })
-ipcMain.on('drop-item', (e, { slot, count }) => { if(botProcess) botProcess.send({ type: 'drop_item', slot, count }) })
+function sendToActiveBot(message) {
+    const session = getActiveBot()
+    if (session && session.process) session.process.send(message)
+}
+
+ipcMain.on('bot-command', (e, cmd) => { sendToActiveBot({ type: 'command', text: cmd }) })
+ipcMain.on('manual-action', (e, { action, state, slot }) => {
+    const session = getActiveBot()
+    if (session && action === 'stop') session.standingTask = null
+    sendToActiveBot({ type: 'manual_control', action, state, slot })
+})
+ipcMain.on('manual-look', (e, { dyaw, dpitch }) => { sendToActiveBot({ type: 'manual_look', dyaw, dpitch }) })
+ipcMain.on('move-item', (e, { from, to }) => { sendToActiveBot({ type: 'move_item', from, to }) })
+ipcMain.on('autonomy-config', (e, config) => { sendToActiveBot({ type: 'autonomy_config', config }) })
+ipcMain.on('safety-config', (e, config) => { sendToActiveBot({ type: 'safety_config', config }) })
+ipcMain.on('pickup-config', (e, config) => { sendToActiveBot({ type: 'pickup_config', config }) })
+ipcMain.on('drop-item', (e, { slot, count }) => { sendToActiveBot({ type: 'drop_item', slot, count }) })
+ipcMain.on('viewer', (e, options) => { sendToActiveBot({ type: 'viewer', ...options }) })
+ipcMain.on('event-triggers', (e, events) => {
+    const session = getActiveBot()
+    if (session) session.config.events = { ...events }
+})
 ipcMain.on('tts-config', (e, config) => {
     ttsConfig = {
         ...ttsConfig,
@@ -531,75 +1953,249 @@ ipcMain.on('tts-list-models', () => {
 })
 
 ipcMain.on('direct-instruction', async (e, text) => {
-    if(!botProcess) return
+    const session = getActiveBot()
+    if (!session || !session.process) return
     
     if (text.toLowerCase().includes('прости') || text.toLowerCase().includes('forgive')) {
-        const data = getMemoryData()
+        const data = getMemoryData(session.memory)
         Object.keys(data.players).forEach(p => {
             data.players[p].relation = 'neutral'
-            data.players[p].notes += '; (Forgiven)'
+            addFact(data.players[p].facts, 'Forgiven (global amnesty)', { source: 'operator', confidence: 1 }, MAX_PLAYER_FACTS)
         })
-        saveMemoryData(data)
-        mainWindow.webContents.send('log', { text: `🕊️ GLOBAL AMNESTY EXECUTED`, type: 'memory' })
+        saveMemoryData(data, session.memory)
+        botLog(session, `🕊️ GLOBAL AMNESTY EXECUTED`, 'memory')
     }
 
-    mainWindow.webContents.send('log', { text: `⚠️ DIRECTIVE: ${text}`, type: 'ai' })
+    botLog(session, `⚠️ DIRECTIVE: ${text}`, 'ai')
     try {
-        const baseSystem = chatHistory[0] ? [chatHistory[0]] : []
-        const directMessages = [
+        const baseSystem = baseSystemMessages(session)
+        const response = await llmChat(session, (useTools) => [
             ...baseSystem,
-            { role: 'system', content: `[SYSTEM REMINDER]\n1. PERSONALITY: ${lastConfig.prompt}\n2. SENSES: ${envContext}\n3. MANDATE: You MUST include a <<<CMD>>> block if agreeing to act.\nFormat: <<<CMD:{"action":"FOLLOW","params":{"target":"PlayerName"}}>>>\nIf giving an item, include target: <<<CMD:{"action":"DROP","params":{"item":"Egg","target":"PlayerName"}}>>>\nValid: FOLLOW, GOTO, ATTACK, DROP, EQUIP, LOOKAT, STOP.` },
+            { role: 'system', content: buildSystemReminder(session, useTools) },
             { role: 'user', content: `[SYSTEM OVERRIDE]: ${text}` }
-        ]
-        const response = await ollama.chat({ model: lastConfig.model, messages: directMessages })
-        let reply = response.message.content.replace(/<think>[\s\S]*?<\/think>/g, '').trim()
-        
-        const cmdRegexGlobal = /<<<CMD:([\s\S]*?)>>>/g
-        let match
-        while ((match = cmdRegexGlobal.exec(reply)) !== null) {
-            try {
-                let cmdData = parseCmdJson(match[1].replace(/\n/g, ' '))
-                if (!cmdData) continue
-                cmdData = fillMissingTarget(cmdData, extractTargetFromMessage(text) || lastChatMention || lastChatUser)
-                cmdData = resolveActionParams(cmdData, extractTargetFromMessage(text) || lastChatMention || lastChatUser)
-                if (!cmdData) continue
-                botProcess.send({ type: 'ai_action', action: cmdData.action, params: cmdData.params })
-                mainWindow.webContents.send('log', { text: `⚡ ACTION: ${cmdData.action}`, type: 'ai' })
-            } catch (e) { }
-        }
-
-        let cleanReply = sanitizeAssistantReply(reply)
-        mainWindow.webContents.send('log', { text: `AI: ${cleanReply}`, type: 'ai' })
-        if (cleanReply) {
-            botProcess.send({ type: 'speak', text: cleanReply })
+        ])
+        const fallbackTarget = extractTargetFromMessage(text, session.username) || session.lastChatMention || session.lastChatUser
+        const cleanReply = processAssistantReply(session, response, fallbackTarget, { allowMemory: false, requester: 'OPERATOR', role: 'owner' })
+        botLog(session, `AI: ${cleanReply}`, 'ai')
+        if (cleanReply && session.process) {
+            session.process.send({ type: 'speak', text: cleanReply })
             enqueueTts(cleanReply)
         }
-    } catch (err) { mainWindow.webContents.send('log', { text: `Error: ${err.message}`, type: 'error' }) }
+    } catch (err) { botLog(session, `Error: ${err.message}`, 'error') }
 })
 
-ipcMain.on('get-memory-db', (event) => { event.reply('memory-db-data', getMemoryData()) })
-ipcMain.on('save-memory-db', (event, data) => { saveMemoryData(data); event.reply('log', { text: 'Memory Saved.', type: 'info' }) })
+function findConversationSession(server, botName) {
+    return [...bots.values()].find(s => s.conversation && s.conversation.server === server && (s.username === botName || s.conversation.bot === botName)) || null
+}
+
+ipcMain.on('get-conversation', (event, { server, bot } = {}) => {
+    const session = findConversationSession(server, bot)
+    event.reply('conversation-data', session ? session.conversation : loadConversation(server, bot))
+})
+ipcMain.on('clear-conversation', (event, { server, bot } = {}) => {
+    const file = getConversationFile(server, bot)
+    if (fs.existsSync(file)) fs.unlinkSync(file)
+    const session = findConversationSession(server, bot)
+    if (session) {
+        session.conversation = { server, bot, summary: '', turns: [] }
+        session.chatHistory = session.chatHistory.slice(0, 1)
+    }
+    event.reply('conversation-data', { server, bot, summary: '', turns: [] })
+    event.reply('log', { text: 'Conversation history cleared.', type: 'memory' })
+})
+ipcMain.on('get-memory-db', (event, partition) => { event.reply('memory-db-data', getMemoryData(partition)) })
+ipcMain.on('save-memory-db', (event, data, partition) => {
+    saveMemoryData(data, partition)
+    syncPlayerRoles(normalizePartition(partition))
+    event.reply('log', { text: 'Memory Saved.', type: 'info' })
+})
+
+function setProxyStatus(state, detail) {
+    proxyState = state
+    if (mainWindow) mainWindow.webContents.send('proxy-status', { state, detail: detail || '', port: proxyBindPort })
+}
+
+function proxyLog(text, type = 'proxy') {
+    if (mainWindow) mainWindow.webContents.send('log', { text: `[ViaProxy] ${text}`, type })
+}
+
+function parseHostPort(address, defaultPort = 25565) {
+    const value = String(address || '').trim()
+    const match = value.match(/^\[?([^\]]*?)\]?(?::(\d+))?$/)
+    const host = (match && match[1]) || value || 'localhost'
+    const port = match && match[2] ? Number(match[2]) : defaultPort
+    return { host: host === '0.0.0.0' ? 'localhost' : host, port }
+}
+
+// Prefers an explicit jar, otherwise the newest ViaProxy-*.jar in the folder
+function resolveProxyJar(proxyPath, jar) {
+    if (jar) return path.isAbsolute(jar) ? jar : path.join(proxyPath, jar)
+    const jars = fs.readdirSync(proxyPath)
+        .filter(f => /^ViaProxy.*\.jar$/i.test(f))
+        .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }))
+    if (jars.length === 0) throw new Error(`no ViaProxy jar found in ${proxyPath}`)
+    return path.join(proxyPath, jars[0])
+}
+
+function probePort(host, port, timeoutMs = 1000) {
+    return new Promise((resolve) => {
+        const socket = net.connect({ host, port })
+        const done = (open) => { socket.destroy(); resolve(open) }
+        socket.setTimeout(timeoutMs, () => done(false))
+        socket.once('connect', () => done(true))
+        socket.once('error', () => done(false))
+    })
+}
+
+// Resolves once the proxy accepts connections; rejects if it exits or never binds
+function waitForProxy(timeoutMs = PROXY_READY_TIMEOUT_MS) {
+    if (proxyState === 'ready') return Promise.resolve()
+    if (proxyState !== 'starting') return Promise.reject(new Error('ViaProxy is not running'))
+    return new Promise((resolve, reject) => {
+        const deadline = Date.now() + timeoutMs
+        const check = () => {
+            if (proxyState === 'ready') return resolve()
+            if (proxyState !== 'starting') return reject(new Error(`ViaProxy ${proxyState}`))
+            if (Date.now() > deadline) return reject(new Error('ViaProxy did not start listening in time'))
+            setTimeout(check, PROXY_PROBE_INTERVAL_MS)
+        }
+        check()
+    })
+}
+
+async function watchProxyReadiness(child) {
+    const deadline = Date.now() + PROXY_READY_TIMEOUT_MS
+    while (proxyProcess === child && proxyState === 'starting') {
+        if (await probePort('127.0.0.1', proxyBindPort)) {
+            if (proxyProcess === child && proxyState === 'starting') {
+                proxyLog(`Listening on port ${proxyBindPort}`, 'info')
+                setProxyStatus('ready')
+            }
+            return
+        }
+        if (Date.now() > deadline) {
+            proxyLog(`Port ${proxyBindPort} still closed after ${PROXY_READY_TIMEOUT_MS / 1000}s`, 'error')
+            setProxyStatus('failed', 'not listening')
+            return
+        }
+        await new Promise(resolve => setTimeout(resolve, PROXY_PROBE_INTERVAL_MS))
+    }
+}
 
 ipcMain.on('start-proxy', (event, config) => {
   if (proxyProcess) return
-  const proxyPath = path.join(__dirname, '../ViaProxy')
+  const proxyPath = path.resolve(__dirname, config.path || DEFAULT_PROXY_PATH)
   const ymlPath = path.join(proxyPath, 'viaproxy.yml')
+  let jarPath
   try {
-    let doc = yaml.load(fs.readFileSync(ymlPath, 'utf8')) || {}
+    jarPath = resolveProxyJar(proxyPath, config.jar)
+    const doc = (fs.existsSync(ymlPath) ? yaml.load(fs.readFileSync(ymlPath, 'utf8')) : null) || {}
     doc['target-address'] = config.target.trim()
     doc['target-version'] = config.version
+    proxyBindPort = parseHostPort(doc['bind-address'], DEFAULT_PROXY_PORT).port
     fs.writeFileSync(ymlPath, yaml.dump(doc))
-  } catch (e) {}
-  proxyProcess = spawn('java', ['-jar', path.join(proxyPath, 'ViaProxy-3.4.8.jar')], { cwd: proxyPath })
-  proxyProcess.stdout.on('data', (d) => { if(d.toString().includes('INFO')) mainWindow.webContents.send('log', { text: `[ViaProxy] ${d}`, type: 'info' }) })
-  proxyProcess.on('close', () => { proxyProcess = null; })
+  } catch (e) {
+    proxyLog(`Config error: ${e.message}`, 'error')
+    setProxyStatus('failed', e.message)
+    return
+  }
+
+  setProxyStatus('starting')
+  proxyLog(`Starting ${path.basename(jarPath)} (target ${config.target.trim()}, ${config.version})`, 'info')
+  const child = spawn('java', ['-jar', jarPath], { cwd: proxyPath })
+  proxyProcess = child
+  child.stdout.on('data', (d) => {
+      d.toString().split(/\r?\n/).filter(line => line.trim() && !/\bDEBUG\b/.test(line)).forEach(line => proxyLog(line))
+  })
+  child.stderr.on('data', (d) => {
+      d.toString().split(/\r?\n/).filter(line => line.trim()).forEach(line => proxyLog(line, 'error'))
+  })
+  child.on('error', (err) => {
+      proxyLog(`Failed to launch java: ${err.message}`, 'error')
+  })
+  // The stop flag lives on the child: a quick restart must not turn the old child's exit into a crash of the new one
+  child.on('close', (code) => {
+      const current = proxyProcess === child
+      if (current) proxyProcess = null
+      if (child.stopping) {
+          if (current || !proxyProcess) setProxyStatus('offline')
+          return
+      }
+      proxyLog(`Process exited with code ${code}`, 'error')
+      setProxyStatus('crashed', `exit code ${code}`)
+  })
+  watchProxyReadiness(child)
+})
+
+ipcMain.on('stop-proxy', () => {
+    if (!proxyProcess) return setProxyStatus('offline')
+    proxyProcess.stopping = true
+    proxyProcess.kill()
+    proxyProcess = null
+})
+function motdToText(component) {
+    if (component === null || component === undefined) return ''
+    if (typeof component === 'string') return component.replace(/§./g, '')
+    if (Array.isArray(component)) return component.map(motdToText).join('')
+    let text = motdToText(component.text || '')
+    if (Array.isArray(component.extra)) text += component.extra.map(motdToText).join('')
+    return text
+}
+
+// Server version from the ping protocol; the bot uses it when mineflayer supports it, otherwise ViaProxy bridges from the newest one
+function detectVersions(version) {
+    const releases = (minecraftData.postNettyVersionsByProtocolVersion.pc[version.protocol] || [])
+        .map(v => v.minecraftVersion)
+        .filter(v => /^\d+\.\d+(\.\d+)?$/.test(v))
+    const named = String(version.name || '').match(/\d+\.\d+(?:\.\d+)?/g) || []
+    const serverVersion = releases.find(v => testedVersions.includes(v)) || releases.find(v => named.includes(v)) || releases[0] || named[named.length - 1] || ''
+    const data = serverVersion ? minecraftData(serverVersion) : null
+    const oldest = minecraftData(testedVersions[0]).version.version
+    const latest = minecraftData(latestSupportedVersion).version.version
+    const supported = !!data && data.version.version >= oldest && data.version.version <= latest
+    return { serverVersion, botVersion: supported ? serverVersion : latestSupportedVersion, supported }
+}
+
+async function pingServer(host, port) {
+    const status = await mc.ping({ host, port, closeTimeout: PING_TIMEOUT_MS, noPongTimeout: PING_TIMEOUT_MS })
+    const version = status.version || {}
+    return {
+        motd: motdToText(status.description).trim(),
+        players: { online: status.players ? status.players.online : 0, max: status.players ? status.players.max : 0 },
+        latency: status.latency,
+        protocol: version.protocol,
+        versionName: version.name || '',
+        ...detectVersions(version)
+    }
+}
+
+// Pings the server itself, falling back to the running proxy when the target is unreachable directly
+ipcMain.on('ping-server', async (event, { target } = {}) => {
+    const { host, port } = parseHostPort(target)
+    try {
+        let route = 'direct'
+        let result
+        try {
+            result = await pingServer(host, port)
+        } catch (e) {
+            if (proxyState !== 'ready') throw e
+            route = 'proxy'
+            result = await pingServer('localhost', proxyBindPort)
+        }
+        event.reply('ping-result', { ok: true, route, ...result })
+        event.reply('log', { text: `Ping ${host}:${port} (${route}): ${result.versionName} [protocol ${result.protocol}], ${result.players.online}/${result.players.max} players, ${result.latency} ms`, type: 'info' })
+    } catch (e) {
+        event.reply('ping-result', { ok: false, error: e.message })
+        event.reply('log', { text: `Ping ${host}:${port} failed: ${e.message}`, type: 'error' })
+    }
 })
 
-ipcMain.on('stop-proxy', () => { if (proxyProcess) { proxyProcess.kill(); proxyProcess = null; } })
-ipcMain.on('get-inventory', () => { if(botProcess) botProcess.send({ type: 'get_inventory' }) })
-ipcMain.on('get-models', async (event) => {
+ipcMain.on('get-inventory', () => { sendToActiveBot({ type: 'get_inventory' }) })
+ipcMain.on('get-models', async (event, config) => {
+    // Listing models must not touch the provider of running bots
+    const llm = normalizeLlmConfig(config)
     try {
-        const list = await ollama.list()
-        event.reply('models-list', list.models)
-    } catch (e) { event.reply('log', { text: 'Ollama Error', type: 'error' }) }
+        const models = await getLlmProvider(llm).listModels()
+        event.reply('models-list', models)
+    } catch (e) { event.reply('log', { text: `LLM Error (${llm.provider}): ${e.message}`, type: 'error' }) }
 })